@@ -0,0 +1,393 @@
+'use strict';
+
+
+/**
+ * A cache of the results of matter.readFileSync() and matter.readFile() for
+ * the option "cache", so that unchanged files are not parsed again.
+ *
+ * A result is cached by the real path of the file, and used again only if
+ * the file, the defaults files and the included files it depends on, the
+ * options and the parsers are the same as when it was cached.
+ *
+ * @param {Object?} opts
+ *        @param {String?} opts.key How to tell if a file is changed: 'stat' for the modification
+ *                                  time and the size, or 'hash' for the content. Default: 'stat'
+ *        @param {Object?} opts.store The store of the entries with the methods get(key),
+ *                                    set(key, value), delete(key) and clear(), and optionally
+ *                                    save(). Default: new Cache.MemoryStore()
+ */
+function Cache(opts) {
+  opts = (opts != null ? opts : {});
+  var key = (opts.key != null ? opts.key : 'stat');
+  if (key !== 'stat' && key !== 'hash') {
+    throw new Error(message('The option "key" must be "stat" or "hash".'));
+  }
+  var store = (opts.store != null ? opts.store : new MemoryStore());
+  if (typeof store !== 'object' || !['get', 'set', 'delete', 'clear'].every(function (name) {
+    return typeof store[name] === 'function';
+  })) {
+    throw new Error(message('The option "store" must have the methods get, set, delete and clear.'));
+  }
+  this.key = key;
+  this.store = store;
+  this._stats = {hits: 0, misses: 0, invalidated: 0};
+}
+
+/**
+ * @return {Object} {hits, misses, invalidated} where invalidated is the
+ *                  number of the misses for outdated entries.
+ */
+Cache.prototype.stats = function () {
+  return {hits: this._stats.hits, misses: this._stats.misses, invalidated: this._stats.invalidated};
+};
+
+/**
+ * Remove all entries. The statistics are kept.
+ *
+ * @return {Cache} this
+ */
+Cache.prototype.clear = function () {
+  this.store.clear();
+  return this;
+};
+
+/**
+ * Write the entries if the store can save them, e.g. Cache.JsonStore.
+ *
+ * @return {Cache} this
+ */
+Cache.prototype.save = function () {
+  if (typeof this.store.save === 'function') {
+    this.store.save();
+  }
+  return this;
+};
+
+/**
+ * Find the result of the file.
+ *
+ * @param {String} path The real path of the file.
+ * @param {Object} opts The formatted options.
+ * @param {Buffer?} content The content of the file if read already.
+ * @return {Object} {path, stamp, fingerprint, content, result, dependencies}
+ *                  where result is a copy of the cached result, or null if not
+ *                  found or outdated, content is the content read for the hash,
+ *                  and dependencies is for the paths of the other files read
+ *                  when the file is parsed.
+ */
+Cache.prototype._lookup = function (path, opts, content) {
+  if (this.key === 'hash' && content == null) {
+    content = require('fs').readFileSync(path);
+  }
+  var lookup = {
+    path: path,
+    stamp: this._stamp(path, opts, content),
+    fingerprint: fingerprint(opts),
+    content: content,
+    result: null,
+    dependencies: []
+  };
+  var entry = this.store.get(path);
+  if (entry != null) {
+    if (entry.stamp === lookup.stamp && entry.fingerprint === lookup.fingerprint &&
+        Array.isArray(entry.dependencies) && entry.dependencies.every(function (dependency) {
+          return this._stamp(dependency.path, null, null, true) === dependency.stamp;
+        }, this)) {
+      this._stats.hits++;
+      lookup.result = cloneValue(entry.result);
+      return lookup;
+    }
+    this._stats.invalidated++;
+    this.store['delete'](path);
+  }
+  this._stats.misses++;
+  return lookup;
+};
+
+/**
+ * Cache the result of the file found missing by _lookup().
+ *
+ * @param {Object} lookup The object from _lookup().
+ * @param {Object} result
+ */
+Cache.prototype._store = function (lookup, result) {
+  this.store.set(lookup.path, {
+    stamp: lookup.stamp,
+    fingerprint: lookup.fingerprint,
+    dependencies: lookup.dependencies.map(function (path) {
+      return {path: path, stamp: this._stamp(path, null, null, true)};
+    }, this),
+    result: cloneValue(result)
+  });
+};
+
+// The stamp that changes with the file, or null if the file is missing.
+Cache.prototype._stamp = function (path, opts, content, optional) {
+  var fs = require('fs');
+  var stat;
+  try {
+    stat = fs.statSync(path);
+  } catch (err) {
+    if (optional && err.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
+  if (!stat.isFile()) {
+    return null;
+  }
+  var time = stat.mtime.getTime() + ':' + stat.size;
+  if (this.key === 'stat') {
+    return time;
+  }
+  var hash = require('crypto').createHash('sha1');
+  hash.update(content != null ? content : fs.readFileSync(path));
+  // The modification time is in the data with opts.interpolate.
+  return hash.digest('hex') + (opts && opts.interpolate ? ':' + time : '');
+};
+
+
+/**
+ * The default store, which keeps the entries in memory.
+ */
+function MemoryStore() {
+  this._entries = {};
+}
+
+MemoryStore.prototype.get = function (key) {
+  return this._entries.hasOwnProperty(key) ? this._entries[key] : undefined;
+};
+
+MemoryStore.prototype.set = function (key, value) {
+  this._entries[key] = value;
+};
+
+MemoryStore.prototype['delete'] = function (key) {
+  delete this._entries[key];
+};
+
+MemoryStore.prototype.clear = function () {
+  this._entries = {};
+};
+
+
+// The format of the file of Cache.JsonStore.
+var JSON_STORE_VERSION = 1;
+
+/**
+ * A store that keeps the entries in a JSON file across runs. The file is read
+ * when the store is created, and written by save().
+ *
+ * Results whose data cannot be written as JSON, e.g. with functions or
+ * instances of classes from custom YAML types, are not stored. Dates and
+ * non-finite numbers are kept.
+ *
+ * @param {String} path The path to the JSON file. Its directory must exist.
+ */
+function JsonStore(path) {
+  if (typeof path !== 'string' || path === '') {
+    throw new Error(message('The path of the JSON store must be a non-empty string.'));
+  }
+  this.path = path;
+  this._entries = {};
+  this._changed = false;
+  var text;
+  try {
+    text = require('fs').readFileSync(path, {encoding: 'utf8'});
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+    return;
+  }
+  try {
+    var json = JSON.parse(text);
+    if (json && json.version === JSON_STORE_VERSION && isObject(json.entries)) {
+      this._entries = json.entries;
+    }
+  } catch (err) {
+    // A broken file is only a cache to build again.
+  }
+}
+
+JsonStore.prototype.get = function (key) {
+  return this._entries.hasOwnProperty(key) ? decodeValue(this._entries[key]) : undefined;
+};
+
+JsonStore.prototype.set = function (key, value) {
+  var encoded;
+  try {
+    encoded = encodeValue(value);
+  } catch (err) {
+    this['delete'](key);
+    return;
+  }
+  this._entries[key] = encoded;
+  this._changed = true;
+};
+
+JsonStore.prototype['delete'] = function (key) {
+  if (this._entries.hasOwnProperty(key)) {
+    delete this._entries[key];
+    this._changed = true;
+  }
+};
+
+JsonStore.prototype.clear = function () {
+  this._entries = {};
+  this._changed = true;
+};
+
+/**
+ * Write the entries to the file if changed. The file is replaced at once, so
+ * that another process never reads a partial file.
+ */
+JsonStore.prototype.save = function () {
+  if (!this._changed) {
+    return;
+  }
+  var fs = require('fs');
+  var temp = this.path + '.' + process.pid + '.tmp';
+  fs.writeFileSync(temp, JSON.stringify({version: JSON_STORE_VERSION, entries: this._entries}));
+  fs.renameSync(temp, this.path);
+  this._changed = false;
+};
+
+
+/**
+ * A string that changes with the options and the languages of the registry.
+ * A function is represented by its property "version" if set, or else its
+ * source text.
+ *
+ * @param {Object} opts The formatted options.
+ * @return {String}
+ */
+function fingerprint(opts) {
+  var registry = opts.registry;
+  var options = {};
+  Object.keys(opts).forEach(function (key) {
+    if (key !== 'registry' && key !== 'cache') {
+      options[key] = opts[key];
+    }
+  });
+  var text = describe({
+    version: require('./package.json').version,
+    options: options,
+    parsers: registry.parsers,
+    aliases: registry.aliases,
+    languageOptions: registry.languageOptions
+  }, []);
+  return require('crypto').createHash('sha1').update(text, 'utf8').digest('hex');
+}
+
+function describe(value, parents) {
+  if (typeof value === 'function') {
+    return 'function:' + (value.version != null ? String(value.version) : String(value));
+  }
+  if (value instanceof Date) {
+    return 'date:' + value.getTime();
+  }
+  if (value instanceof RegExp) {
+    return 'regexp:' + String(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return typeof value + ':' + String(value);
+  }
+  if (parents.indexOf(value) >= 0) {
+    return 'circular';
+  }
+  parents = parents.concat([value]);
+  if (Array.isArray(value)) {
+    return '[' + value.map(function (item) {
+      return describe(item, parents);
+    }).join(',') + ']';
+  }
+  return '{' + Object.keys(value).sort().map(function (key) {
+    return JSON.stringify(key) + ':' + describe(value[key], parents);
+  }).join(',') + '}';
+}
+
+// Copy the arrays, the plain objects and the dates, so that changes to the
+// results given out do not change the cache.
+function cloneValue(value) {
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (Array.isArray(value)) {
+    return value.map(cloneValue);
+  }
+  if (isObject(value)) {
+    var copy = {};
+    Object.keys(value).forEach(function (key) {
+      copy[key] = cloneValue(value[key]);
+    });
+    return copy;
+  }
+  return value;
+}
+
+// Turn the value into JSON with the tagged values {"$": type, "value": value},
+// where an object with the key "$" is tagged too.
+function encodeValue(value) {
+  if (value instanceof Date) {
+    return {$: 'date', value: value.getTime()};
+  }
+  if (typeof value === 'number' && !isFinite(value)) {
+    return {$: 'number', value: String(value)};
+  }
+  if (value === null || typeof value === 'string' || typeof value === 'boolean' ||
+      typeof value === 'number') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(encodeValue);
+  }
+  if (isObject(value)) {
+    var copy = {};
+    Object.keys(value).forEach(function (key) {
+      copy[key] = encodeValue(value[key]);
+    });
+    return copy.hasOwnProperty('$') ? {$: 'object', value: copy} : copy;
+  }
+  throw new Error(message('The value cannot be stored as JSON.'));
+}
+
+function decodeValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(decodeValue);
+  }
+  if (isObject(value)) {
+    if (value.$ === 'date') {
+      return new Date(value.value);
+    }
+    if (value.$ === 'number') {
+      return Number(value.value);
+    }
+    var source = (value.$ === 'object' ? value.value : value);
+    var copy = {};
+    Object.keys(source).forEach(function (key) {
+      copy[key] = decodeValue(source[key]);
+    });
+    return copy;
+  }
+  return value;
+}
+
+// Only objects made by {} or Object.create(null).
+function isObject(value) {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+  var proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function message(msg) {
+  return '[matter]: ' + msg;
+}
+
+
+Cache.MemoryStore = MemoryStore;
+Cache.JsonStore = JsonStore;
+
+module.exports = Cache;
@@ -0,0 +1,309 @@
+'use strict';
+
+
+/**
+ * A queryable collection of the objects returned from matter.readFile(),
+ * e.g. all the files from matter.readDir().
+ *
+ * @param {Array.<Object>?} items The results with the property "path".
+ * @param {Object?} opts
+ *        @param {Array.<String>?} opts.indexes The key paths of the data to index. Default: []
+ *        @param {Function?} opts.id The function (item) that returns the unique id. Default: item.path
+ */
+function Collection(items, opts) {
+  opts = (opts != null ? opts : {});
+  var indexes = (opts.indexes != null ? [].concat(opts.indexes) : []);
+  if (!indexes.every(function (key) { return typeof key === 'string' && key !== ''; })) {
+    throw new Error(message('The option "indexes" must be a list of key paths.'));
+  }
+  if (opts.id != null && typeof opts.id !== 'function') {
+    throw new Error(message('The option "id" must be a function.'));
+  }
+  this._id = opts.id || function (item) { return item.path; };
+  this._items = {};
+  this._order = {};
+  this._count = 0;
+  this._indexes = {};
+  indexes.forEach(function (key) {
+    this._indexes[key] = {};
+  }, this);
+  (items || []).forEach(this.set, this);
+}
+
+/**
+ * The number of items.
+ */
+Object.defineProperty(Collection.prototype, 'size', {
+  get: function () {
+    return Object.keys(this._items).length;
+  }
+});
+
+/**
+ * Add an item, or replace the item with the same id, e.g. after the file is
+ * read again. An item with the property "error" removes the item instead.
+ *
+ * @param {Object} item
+ * @return {Collection} this
+ */
+Collection.prototype.set = function (item) {
+  if (item == null || typeof item !== 'object') {
+    throw new Error(message('The item of a collection must be an object.'));
+  }
+  var id = this._id(item);
+  if (typeof id !== 'string') {
+    throw new Error(message('The id of an item must be a string.'));
+  }
+  if (item.error != null) {
+    return this.remove(id);
+  }
+  if (this.has(id)) {
+    this._unindex(id);
+  } else {
+    this._order[id] = this._count++;
+  }
+  this._items[id] = item;
+  Object.keys(this._indexes).forEach(function (key) {
+    var index = this._indexes[key];
+    getValues(item.data, key).forEach(function (value) {
+      var hash = hashValue(value);
+      (index[hash] || (index[hash] = {}))[id] = true;
+    });
+  }, this);
+  return this;
+};
+
+/**
+ * @param {String} id
+ * @return {Collection} this
+ */
+Collection.prototype.remove = function (id) {
+  if (this.has(id)) {
+    this._unindex(id);
+    delete this._items[id];
+    delete this._order[id];
+  }
+  return this;
+};
+
+/**
+ * @param {String} id
+ * @return {Boolean}
+ */
+Collection.prototype.has = function (id) {
+  return Object.prototype.hasOwnProperty.call(this._items, id);
+};
+
+/**
+ * @param {String} id
+ * @return {Object?} The item, or null if not found.
+ */
+Collection.prototype.get = function (id) {
+  return this.has(id) ? this._items[id] : null;
+};
+
+/**
+ * Find the items in the order they were added, unless query.sort is provided.
+ *
+ * @param {Object?} query
+ *        @param {Object?} query.where The values or the functions (value) to test, by key paths.
+ *                                     An array in the data matches any of its elements, and
+ *                                     a function gets undefined if the key is missing.
+ *        @param {Function?} query.filter The function (item) to test.
+ *        @param {(String|Array|Function)?} query.sort The key paths like "-date" (descending),
+ *                                                     or the function (a, b) for the items.
+ *        @param {Number?} query.offset The number of items to skip. Default: 0
+ *        @param {Number?} query.limit The maximum number of items. Default: Infinity
+ * @return {Array.<Object>}
+ */
+Collection.prototype.find = function (query) {
+  query = (query != null ? query : {});
+  var where = (query.where != null ? query.where : {});
+  var keys = Object.keys(where);
+  var ids = null;
+  // Start with the smallest set of ids from the indexes.
+  keys.forEach(function (key) {
+    if (this._indexes.hasOwnProperty(key) && typeof where[key] !== 'function') {
+      var found = this._indexes[key][hashValue(where[key])];
+      var list = found ? Object.keys(found) : [];
+      if (ids === null || list.length < ids.length) {
+        ids = list;
+      }
+    }
+  }, this);
+  var order = this._order;
+  ids = (ids !== null ? ids : Object.keys(this._items)).sort(function (a, b) {
+    return order[a] - order[b];
+  });
+  var items = ids.map(this.get, this).filter(function (item) {
+    return keys.every(function (key) {
+      var test = where[key];
+      var values = getValues(item.data, key);
+      if (typeof test === 'function') {
+        return values.length === 0 ? test(undefined) : values.some(function (value) {
+          return test(value);
+        });
+      }
+      return values.some(function (value) {
+        return hashValue(value) === hashValue(test);
+      });
+    }) && (query.filter == null || query.filter(item));
+  });
+  if (query.sort != null) {
+    items = sortItems(items, query.sort);
+  }
+  var offset = (query.offset != null ? query.offset : 0);
+  var limit = (query.limit != null ? query.limit : Infinity);
+  return items.slice(offset, offset + limit);
+};
+
+/**
+ * Group the found items by the values of a key path. An item is put in
+ * every group of the elements if the value is an array.
+ *
+ * @param {String} key
+ * @param {Object?} query The same as for find().
+ * @return {Array.<Object>} [{key, items}] in the order of the first items.
+ */
+Collection.prototype.group = function (key, query) {
+  var groups = [];
+  var byHash = {};
+  this.find(query).forEach(function (item) {
+    getValues(item.data, key).forEach(function (value) {
+      var hash = hashValue(value);
+      if (!byHash.hasOwnProperty(hash)) {
+        groups.push(byHash[hash] = {key: value, items: []});
+      }
+      if (byHash[hash].items.indexOf(item) < 0) {
+        byHash[hash].items.push(item);
+      }
+    });
+  });
+  return groups;
+};
+
+/**
+ * Split the found items into pages. There is always the first page.
+ *
+ * @param {Number} size The number of items per page.
+ * @param {Object?} query The same as for find().
+ * @return {Array.<Object>} [{number, pages, items}] where number is 1-based.
+ */
+Collection.prototype.paginate = function (size, query) {
+  if (typeof size !== 'number' || !(size >= 1)) {
+    throw new Error(message('The page size must be a positive number.'));
+  }
+  size = Math.floor(size);
+  var items = this.find(query);
+  var total = Math.max(1, Math.ceil(items.length / size));
+  var pages = [];
+  for (var i = 0; i < total; i++) {
+    pages.push({number: i + 1, pages: total, items: items.slice(i * size, (i + 1) * size)});
+  }
+  return pages;
+};
+
+Collection.prototype._unindex = function (id) {
+  var item = this._items[id];
+  Object.keys(this._indexes).forEach(function (key) {
+    var index = this._indexes[key];
+    getValues(item.data, key).forEach(function (value) {
+      var hash = hashValue(value);
+      if (index.hasOwnProperty(hash)) {
+        delete index[hash][id];
+        if (Object.keys(index[hash]).length === 0) {
+          delete index[hash];
+        }
+      }
+    });
+  }, this);
+};
+
+
+// The values at the key path, or the elements if it is an array.
+function getValues(data, key) {
+  var value = getValue(data, key);
+  if (value === undefined) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+function getValue(data, key) {
+  var keys = key.split('.');
+  var value = data;
+  for (var i = 0; i < keys.length; i++) {
+    if (value == null || typeof value !== 'object' ||
+        !Object.prototype.hasOwnProperty.call(value, keys[i])) {
+      return undefined;
+    }
+    value = value[keys[i]];
+  }
+  return value;
+}
+
+// Tell 1 from "1", and compare dates by time.
+function hashValue(value) {
+  if (value instanceof Date) {
+    return 'date:' + value.getTime();
+  }
+  if (value !== null && typeof value === 'object') {
+    return 'object:' + JSON.stringify(value);
+  }
+  return typeof value + ':' + String(value);
+}
+
+function sortItems(items, sort) {
+  var compare;
+  if (typeof sort === 'function') {
+    compare = sort;
+  } else {
+    var keys = [].concat(sort).map(function (key) {
+      if (typeof key !== 'string' || key === '' || key === '-') {
+        throw new Error(message('The sort keys must be key paths.'));
+      }
+      return key[0] === '-' ? {path: key.substr(1), order: -1} : {path: key, order: 1};
+    });
+    compare = function (a, b) {
+      for (var i = 0; i < keys.length; i++) {
+        var result = compareValues(getValue(a.data, keys[i].path),
+                                   getValue(b.data, keys[i].path), keys[i].order);
+        if (result !== 0) {
+          return result;
+        }
+      }
+      return 0;
+    };
+  }
+  // Keep the order of equal items.
+  return items.map(function (item, i) {
+    return {item: item, index: i};
+  }).sort(function (a, b) {
+    return compare(a.item, b.item) || a.index - b.index;
+  }).map(function (entry) {
+    return entry.item;
+  });
+}
+
+// Missing values always come last.
+function compareValues(a, b, order) {
+  var missingA = (a == null);
+  var missingB = (b == null);
+  if (missingA || missingB) {
+    return missingA === missingB ? 0 : (missingA ? 1 : -1);
+  }
+  a = (a instanceof Date ? a.getTime() : a);
+  b = (b instanceof Date ? b.getTime() : b);
+  if (typeof a !== typeof b) {
+    a = typeof a;
+    b = typeof b;
+  }
+  return (a < b ? -1 : (a > b ? 1 : 0)) * order;
+}
+
+function message(msg) {
+  return '[matter]: ' + msg;
+}
+
+
+module.exports = Collection;
@@ -0,0 +1,388 @@
+// Type definitions for meta-matter/core, i.e. matter() without the file APIs.
+// See index.d.ts for the matter() of node.
+
+declare namespace matter {
+  /**
+   * A parser of a language. It must not return a promise except for the
+   * asynchronous file readers.
+   */
+  type Parser = (text: string, options: LanguageOptions) => any;
+
+  /**
+   * A serializer of a language. The returned text is put between the
+   * delimiters.
+   */
+  type Serializer = (data: any, options: LanguageOptions) => string;
+
+  /**
+   * The options passed to the parsers and the serializers, i.e. those in
+   * matter.languageOptions and options.languageOptions along with `loose`.
+   */
+  interface LanguageOptions {
+    /** Whether to return null instead of throwing errors. */
+    loose?: boolean;
+    [key: string]: any;
+  }
+
+  /** The options of the builtin YAML parser and serializer. */
+  interface YamlOptions extends LanguageOptions {
+    /** The js-yaml schema. Default: DEFAULT_SAFE_SCHEMA */
+    schema?: any;
+    /** Custom types added to the schema, as js-yaml types or their definitions. */
+    types?: Array<YamlType | object>;
+  }
+
+  /** The definition of a js-yaml type, e.g. for the tag "!point". */
+  interface YamlType {
+    tag: string;
+    kind: 'scalar' | 'sequence' | 'mapping';
+    resolve?: (data: any) => boolean;
+    construct?: (data: any) => any;
+    instanceOf?: Function;
+    predicate?: (data: any) => boolean;
+    represent?: ((data: any) => any) | { [style: string]: (data: any) => any };
+    defaultStyle?: string;
+  }
+
+  /** The comment syntax around the front matter in source files. */
+  interface Comment {
+    open?: string | null;
+    close?: string | null;
+    prefix?: string | null;
+  }
+
+  /** A delimiter profile for options.delims. */
+  interface Profile {
+    delims?: string | [string | null, (string | null)?];
+    lang?: string | null;
+    comment?: Comment | null;
+  }
+
+  /** The delimiter profile in use, as found in the results. */
+  interface FormattedProfile {
+    delims: [string, string];
+    lang: string | null;
+    comment?: { open: string | null; close: string | null; prefix: string | null };
+  }
+
+  /** A delimiter, a pair of delimiters, or a list of delimiter profiles. */
+  type Delimiters = string | [string | null, (string | null)?] | Profile[];
+
+  /** The encodings of the input bytes. Case and dashes do not matter. */
+  type Encoding = 'utf8' | 'utf16le' | 'utf16be' | 'latin1' | 'ascii' | string;
+
+  /** A JSON Schema (subset) for options.schema. */
+  interface Schema {
+    type?: SchemaType | SchemaType[];
+    properties?: { [key: string]: Schema };
+    required?: string[];
+    /** Only false has an effect, which disallows the keys not in properties. */
+    additionalProperties?: boolean;
+    items?: Schema;
+    default?: any;
+    enum?: any[];
+    pattern?: string;
+    minLength?: number;
+    maxLength?: number;
+    minimum?: number;
+    maximum?: number;
+    minItems?: number;
+    maxItems?: number;
+    [keyword: string]: any;
+  }
+
+  type SchemaType =
+    'null' | 'boolean' | 'number' | 'integer' | 'string' | 'array' | 'object' | 'date';
+
+  /** The languages of an instance of matter(), i.e. matter itself or one from matter.create(). */
+  interface Registry {
+    parsers: { [lang: string]: Parser };
+    serializers: { [lang: string]: Serializer };
+    aliases: { [alias: string]: string };
+    languageOptions: { [lang: string]: LanguageOptions };
+  }
+
+  /** The options of matter(). */
+  interface Options {
+    /** Whether to tolerate ambiguous delimiters. Default: false */
+    loose?: boolean;
+    /** The name of the parser to use if options.parsers is not a function. Default: 'yaml' */
+    lang?: string;
+    /** Custom delimiter(s), or a list of delimiter profiles. Default: '---' */
+    delims?: Delimiters;
+    /** Custom parser(s). Default: matter.parsers */
+    parsers?: Parser | { [lang: string]: Parser } | null;
+    /** Custom serializer(s). Default: matter.serializers */
+    serializers?: Serializer | { [lang: string]: Serializer } | null;
+    /** Whether to throw a MatterError when the parser fails. Default: false */
+    strict?: boolean;
+    /** Whether to accept a JSON object at the start as front matter. Default: false */
+    braces?: boolean;
+    /** A JSON Schema to validate and coerce the data. Default: null */
+    schema?: Schema | null;
+    /** The line ending for the front matter written by matter.stringify(). Default: '\n' */
+    eol?: '\n' | '\r\n';
+    /** Whether matter.stringify() prepends a byte-order mark. Default: false */
+    bom?: boolean;
+    /** Whether to read consecutive front matter blocks. Default: false */
+    multiple?: boolean;
+    /** How to merge the data of the blocks. Default: 'deep' */
+    merge?: 'deep' | 'shallow' | ((target: any, source: any) => any);
+    /** The languages to use, which matter.create() sets for its instance. Default: matter */
+    registry?: Registry | null;
+    /** The options of the languages for this call. Default: null */
+    languageOptions?: { [lang: string]: LanguageOptions } | null;
+    /** The directory that "!include" in YAML is restricted to. Only for the file readers. Default: null */
+    root?: string | null;
+    /** The names of the defaults files. Only for the file readers. Default: null */
+    defaults?: string | string[] | null;
+    /** Whether to replace references like "{{ key }}" in the data. Default: false */
+    interpolate?: boolean;
+    /** The values for the references besides the data. Default: null */
+    context?: { [key: string]: any } | null;
+    /** The encoding of the input bytes. Default: from the byte-order mark, or 'utf8' */
+    encoding?: Encoding | null;
+    /** The cache from matter.cache() of node. Only for the file readers. Default: null */
+    cache?: object | null;
+    /**
+     * How to take result.excerpt from the body: true for the first paragraph,
+     * a separator, or a function returning the excerpt. Default: null
+     */
+    excerpt?: boolean | string | ((body: string) => string | null | undefined | void) | null;
+    /** Whether to remove the separator of options.excerpt from the body. Default: false */
+    stripSeparator?: boolean;
+  }
+
+  /** The position of a part of result.src, as string indices rather than byte offsets. */
+  interface Range {
+    start: number;
+    /** Null for the body of matter.stream(), whose end is unknown. */
+    end: number | null;
+    /** The 1-based line number of start. */
+    line: number;
+  }
+
+  interface Locations {
+    open: Range;
+    data: Range;
+    close: Range;
+    body: Range;
+  }
+
+  interface Block {
+    lang: string;
+    matter: string;
+    data: any;
+    loc: Locations;
+    profile: FormattedProfile | null;
+  }
+
+  interface SchemaError {
+    /** The key path like "tags.0". */
+    path: string;
+    message: string;
+  }
+
+  interface UnresolvedReference {
+    /** The key path of the string. */
+    path: string;
+    reference: string;
+    message: string;
+  }
+
+  /** The result of matter(), where T is the type of the data. */
+  interface Result<T = any> {
+    /** The input string without the byte-order mark. */
+    src: string;
+    /** The input without front matter. */
+    body: string;
+    /** The data returned from the parsers, or null if front matter is missing or empty. */
+    data: T | null;
+    /** The raw text between the delimiters. */
+    matter: string | null;
+    /** The language of the front matter. */
+    lang: string | null;
+    loc: Locations | null;
+    profile: FormattedProfile | null;
+    /** Whether the input starts with a byte-order mark. */
+    bom: boolean;
+    /** The line ending of the first line. */
+    eol: '\n' | '\r\n';
+    /** The encoding of the input bytes, or null for a string. */
+    encoding: Encoding | null;
+    /** The errors from options.schema if provided. */
+    errors?: SchemaError[];
+    /** The unresolved references if options.interpolate is true. */
+    unresolved?: UnresolvedReference[];
+    /** The front matter blocks if options.multiple is true. */
+    blocks?: Block[];
+    /** The excerpt if options.excerpt is provided, or null if not found. */
+    excerpt?: string | null;
+  }
+
+  /** The options of matter.stringify(). */
+  interface StringifyOptions {
+    loose?: boolean;
+    lang?: string;
+    delims?: Delimiters;
+    serializers?: Serializer | { [lang: string]: Serializer } | null;
+    braces?: boolean;
+    eol?: '\n' | '\r\n';
+    bom?: boolean;
+    registry?: Registry | null;
+    languageOptions?: { [lang: string]: LanguageOptions } | null;
+  }
+
+  /** The options of matter.test(). */
+  interface TestOptions {
+    loose?: boolean;
+    delims?: Delimiters;
+    braces?: boolean;
+    encoding?: Encoding | null;
+  }
+
+  /**
+   * A mutator of matter.update(). It changes the data in place or returns the
+   * new data, and null removes the front matter.
+   */
+  type Mutator<T = any> = (data: T) => T | null | undefined | void;
+
+  /** A language for matter.use(). */
+  interface Plugin {
+    parse?: Parser;
+    stringify?: Serializer;
+    aliases?: string | string[];
+    options?: LanguageOptions;
+  }
+
+  /** The error thrown when the front matter is invalid in strict mode. */
+  interface MatterError extends Error {
+    name: 'MatterError';
+    /** The language of the front matter. */
+    lang: string | null;
+    /** The opening delimiter. */
+    delimiter: string | null;
+    /** The message from the parser or the checks. */
+    reason: string;
+    /** The 1-based line number in the input if known. */
+    line: number | null;
+    /** The 1-based column number in the input if known. */
+    column: number | null;
+    /** The error thrown by the parser. */
+    cause?: any;
+    /** The errors from options.schema or options.interpolate. */
+    errors?: Array<SchemaError | UnresolvedReference>;
+    /** The real path of the file, from the file readers. */
+    path?: string;
+  }
+
+  interface MatterErrorConstructor {
+    new (message: string, props?: { [key: string]: any }): MatterError;
+    readonly prototype: MatterError;
+  }
+
+  /** An item of a collection, e.g. a result of matter.readFile(). */
+  interface CollectionItem<T = any> {
+    path?: string;
+    data: T | null;
+    error?: any;
+    [key: string]: any;
+  }
+
+  interface CollectionOptions<I extends CollectionItem = CollectionItem> {
+    /** The key paths of the data to index. Default: [] */
+    indexes?: string | string[];
+    /** The unique id of an item. Default: item.path */
+    id?: (item: I) => string;
+  }
+
+  interface Query<I extends CollectionItem = CollectionItem> {
+    /** The values, or the functions to test the values, by key paths. */
+    where?: { [keyPath: string]: any };
+    filter?: (item: I) => boolean;
+    /** The key paths like "-date" (descending), or the function for the items. */
+    sort?: string | string[] | ((a: I, b: I) => number);
+    offset?: number;
+    limit?: number;
+  }
+
+  interface Group<I> {
+    key: any;
+    items: I[];
+  }
+
+  interface Page<I> {
+    /** The 1-based page number. */
+    number: number;
+    pages: number;
+    items: I[];
+  }
+
+  /** A queryable collection of results. */
+  interface Collection<I extends CollectionItem = CollectionItem> {
+    readonly size: number;
+    set(item: I): this;
+    remove(id: string): this;
+    has(id: string): boolean;
+    get(id: string): I | null;
+    find(query?: Query<I>): I[];
+    group(key: string, query?: Query<I>): Array<Group<I>>;
+    paginate(size: number, query?: Query<I>): Array<Page<I>>;
+  }
+
+  interface CollectionConstructor {
+    new <I extends CollectionItem = CollectionItem>(
+        items?: I[] | null, options?: CollectionOptions<I>): Collection<I>;
+  }
+
+  /** The modules of the builtin languages, which are null until provided in the core. */
+  interface Modules {
+    /** The module "js-yaml". */
+    yaml: any;
+    /** The module "toml-j0.4". */
+    toml: any;
+  }
+
+  /** The matter() without the file APIs. */
+  interface Core extends Registry {
+    /**
+     * Parse the input with or without front matter, where T is the type of
+     * the data.
+     */
+    <T = any>(str: string | Uint8Array, options?: Options | null): Result<T>;
+
+    /** Check if the input contains front matter. */
+    test(str: string | Uint8Array, options?: TestOptions | null): boolean;
+
+    /** Serialize the data as front matter and prepend it to the body. */
+    stringify(body: string, data: any, options?: StringifyOptions | null): string;
+
+    /** Change the front matter data in the string. */
+    update<T = any>(str: string, mutator: Mutator<T>, options?: Options | null): string;
+
+    /** Register a language, or change the settings of a registered one. */
+    use(name: string, plugin: Plugin): this;
+
+    /** Create another matter() with its own languages and default options. */
+    create(defaults?: Options | null): this;
+
+    /** Create a queryable collection of results. */
+    collection<I extends CollectionItem = CollectionItem>(
+        items?: I[] | null, options?: CollectionOptions<I>): Collection<I>;
+
+    Collection: CollectionConstructor;
+    MatterError: MatterErrorConstructor;
+    modules: Modules;
+    /** The builtin parsers are also available as yaml, toml and json. */
+    parsers: { [lang: string]: Parser; yaml: Parser; toml: Parser; json: Parser };
+    serializers: { [lang: string]: Serializer; yaml: Serializer; toml: Serializer; json: Serializer };
+    /** Common delimiter profiles. */
+    profiles: Profile[];
+    /** Delimiter profiles for front matter in comments. */
+    comments: Profile[];
+  }
+}
+
+declare const matter: matter.Core;
+
+export = matter;
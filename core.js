@@ -0,0 +1,2402 @@
+'use strict';
+
+
+/**
+ * Parse the input string with options.
+ *
+ * @param {(String|Buffer|Uint8Array)} str The string to parse, or the bytes to decode.
+ * @param {Object?} opts
+ *        @param {Boolean?} opts.loose Whether to tolerate ambiguous delimiters. Default: false
+ *        @param {String?} opts.lang The name of the parser to use if opts.parsers is not a function. Default: 'yaml'
+ *        @param {(String|Array)?} opts.delims Custom delimiter(s), or a list of delimiter profiles
+ *                                             [{delims, lang, comment}] where the first matched one wins.
+ *                                             Default: '---' or ['---', '---']
+ *        @param {(Function|Object.<String, Function>)?} opts.parsers Custom parser(s). Default: {'yaml':yaml,'toml':toml,'json':json}
+ *        @param {Boolean?} opts.strict Whether to throw a MatterError when the parser fails. Default: false
+ *        @param {Boolean?} opts.braces Whether to accept a JSON object at the start as front matter. Default: false
+ *        @param {Object?} opts.schema A JSON Schema (subset) to validate and coerce the data. Default: null
+ *        @param {Object?} opts.languageOptions The options of the languages for this call. Default: null
+ *        @param {Boolean?} opts.interpolate Whether to replace references like "{{ key }}" in the data. Default: false
+ *        @param {Object?} opts.context The values for the references besides the data. Default: null
+ *        @param {Boolean?} opts.multiple Whether to read consecutive front matter blocks. Default: false
+ *        @param {(String|Function)?} opts.merge How to merge the data of the blocks: 'deep', 'shallow'
+ *                                             or function (target, source). Default: 'deep'
+ *        @param {String?} opts.encoding The encoding of the bytes. Default: from the byte-order mark, or 'utf8'
+ *        @param {(Boolean|String|Function)?} opts.excerpt The separator that ends the excerpt of the body,
+ *                                                         true for the first paragraph, or function (body).
+ *                                                         Default: null
+ *        @param {Boolean?} opts.stripSeparator Whether to remove the separator of opts.excerpt from the body.
+ *                                              Default: false
+ * @return {Object} result
+ *         @param {String} result.src The original input string.
+ *         @param {String} result.body The input string without front matter.
+ *         @param {Mixed} result.data The data returned from the parsers. Default: null
+ *         @param {String?} result.matter The raw text between the delimiters. Default: null
+ *         @param {String?} result.lang The language of the front matter. Default: null
+ *         @param {Object?} result.loc The positions of the front matter parts as string indices
+ *                 into result.src, not byte offsets. Default: null
+ *                 @param {Object} result.loc.open The opening delimiter.
+ *                 @param {Object} result.loc.data The raw text between the delimiters.
+ *                 @param {Object} result.loc.close The closing delimiter.
+ *                 @param {Object} result.loc.body The body.
+ *         @param {Object?} result.profile The delimiter profile {delims, lang} in use. Default: null
+ *         @param {Array.<Object>?} result.errors The errors {path, message} from opts.schema if provided.
+ *         @param {Array.<Object>?} result.unresolved The references {path, reference, message} left if opts.interpolate.
+ *         @param {Array.<Object>?} result.blocks The blocks {lang, matter, data, loc, profile} if opts.multiple.
+ *         @param {String?} result.encoding The encoding of the input bytes. Default: null
+ *         @param {String?} result.excerpt The excerpt of the body if opts.excerpt is provided.
+ */
+function matter(str, opts) {
+  return extract(str, formatOptions(opts), false);
+}
+
+
+/**
+ * The implementation of matter().
+ *
+ * @param {String} str The input string.
+ * @param {Object} opts The formatted options.
+ * @param {Boolean} async Whether the parsers are allowed to return promises.
+ *                        If so, result.data may be a promise.
+ * @return {Object} result
+ */
+function extract(str, opts, async) {
+  var input = decodeInput(str, opts.encoding);
+  var bom = input.str.charCodeAt(0) === 0xFEFF;
+  str = formatString(input.str);
+  var result = {
+    src: str, data: null, body: str,
+    matter: null, lang: null, loc: null, profile: null,
+    bom: bom, eol: detectEol(str), encoding: input.encoding
+  };
+  var blocks, next;
+  var pos = !str ? null : (opts.braces && scanBraces(str, opts.loose)) ||
+                          scanProfiles(str, opts.profiles, opts.loose);
+  if (pos) {
+    var block = parseBlock(str, pos, opts, async);
+    result.profile = block.profile;
+    result.matter = block.matter;
+    result.lang = block.lang;
+    result.loc = block.loc;
+    result.data = block.data;
+    if (opts.multiple) {
+      blocks = [block];
+      while ((next = scanNext(str, pos.bodyStart, opts))) {
+        pos = next;
+        blocks.push(parseBlock(str, pos, opts, async));
+      }
+      result.loc.body = blocks[blocks.length - 1].loc.body;
+      result.data = mergeBlocks(blocks, opts.merge);
+    }
+    result.body = str.substr(pos.bodyStart);
+  }
+  if (opts.excerpt !== null) {
+    extractExcerpt(result, opts);
+  }
+  if (opts.multiple) {
+    result.blocks = blocks || [];
+  }
+  if (opts.cascade) {
+    var inherit = function (data) {
+      return inheritData(data, opts.cascade, result);
+    };
+    result.data = isThenable(result.data) ? result.data.then(inherit) : inherit(result.data);
+  }
+  if (opts.interpolate) {
+    var expand = function (data) {
+      return interpolate(data, result, opts, pos ? pos.delimiter : null);
+    };
+    result.data = isThenable(result.data) ? result.data.then(expand) : expand(result.data);
+  }
+  if (opts.schema) {
+    var check = function (data) {
+      return checkSchema(data, result, opts, pos ? pos.delimiter : null);
+    };
+    result.errors = [];
+    result.data = isThenable(result.data) ? result.data.then(check) : check(result.data);
+  }
+  return result;
+}
+
+/**
+ * Parse one front matter block found by scan().
+ *
+ * @param {String} str The formatted input string.
+ * @param {Object} pos The positions from scan().
+ * @param {Object} opts The formatted options.
+ * @param {Boolean} async
+ * @return {Object} block {lang, matter, data, loc, profile}
+ */
+function parseBlock(str, pos, opts, async) {
+  var lang = resolveLanguage(pos.lang || pos.tag.trim().toLowerCase() ||
+                             (pos.profile && pos.profile.lang) || opts.lang, opts);
+  var block = {
+    lang: lang,
+    matter: pos.data != null ? pos.data : str.substr(pos.dataStart, pos.dataEnd - pos.dataStart),
+    data: null,
+    loc: {
+      open: locateRange(str, pos.openStart || 0, pos.openEnd),
+      data: locateRange(str, pos.dataStart, pos.dataEnd),
+      close: locateRange(str, pos.closeStart, pos.closeEnd),
+      body: locateRange(str, pos.bodyStart, str.length)
+    },
+    profile: pos.profile
+  };
+  // The parsers only need to handle LF.
+  var data = block.matter.trim().replace(/\r\n/g, '\n');
+  if (data) {
+    var parse;
+    if (typeof opts.parsers === 'function') {
+      parse = opts.parsers;
+    } else if (opts.parsers != null && opts.parsers[lang]) {
+      parse = opts.parsers[lang];
+    } else {
+      parse = opts.registry.parsers[lang];
+    }
+    if (typeof parse !== 'function') {
+      throw new Error(message('No parser found for the language: ' + lang));
+    }
+    var fail = function (err) {
+      if (opts.strict) {
+        // Map the error position in the trimmed data back to the string.
+        var lead = block.matter.search(/\S/);
+        var start = getLocation(str, pos.dataStart + lead);
+        var shifts = null;
+        if (pos.shifts) {  // The comment syntax was stripped from each line.
+          var skipped = getLocation(block.matter, lead);
+          shifts = pos.shifts.slice(skipped.line - 1);
+          start = {
+            line: getLocation(str, pos.dataStart).line + skipped.line - 1,
+            column: shifts[0] + skipped.column
+          };
+        }
+        throw createParseError(err, data, start, lang, pos.delimiter, shifts);
+      }
+      if (!isSyntaxError(err)) {
+        throw err;  // e.g. a bug in a custom parser.
+      }
+      return null;
+    };
+    try {
+      block.data = parse(data, getLanguageOptions(lang, opts));
+    } catch (err) {
+      if (err && err.code === 'MODULE_NOT_FOUND') {
+        throw err;  // Not a problem of the front matter.
+      }
+      block.data = fail(err);
+    }
+    if (isThenable(block.data)) {
+      if (!async) {
+        throw new Error(message('The parser for the language "' + lang +
+                                '" returned a promise. Use matter.read() instead.'));
+      }
+      block.data = block.data.then(null, fail);
+    }
+  }
+  return block;
+}
+
+/**
+ * Find a front matter block that directly follows the previous one. Only
+ * blank lines may separate the blocks.
+ *
+ * @param {String} str
+ * @param {Number} start The body start of the previous block.
+ * @param {Object} opts The formatted options.
+ * @return {Object|null} The positions, relative to the whole string.
+ */
+function scanNext(str, start, opts) {
+  var blank = /^[ \t]*\r?\n/;
+  var m;
+  while ((m = blank.exec(str.substr(start)))) {
+    start += m[0].length;
+  }
+  var pos = start < str.length ? scanProfiles(str.substr(start), opts.profiles, opts.loose) : null;
+  if (!pos) {
+    return null;
+  }
+  pos.openStart = start + (pos.openStart || 0);
+  ['openEnd', 'dataStart', 'dataEnd', 'closeStart', 'closeEnd', 'bodyStart'].forEach(function (key) {
+    pos[key] += start;
+  });
+  return pos;
+}
+
+/**
+ * Merge the data of stacked blocks. Later blocks override earlier ones.
+ *
+ * @param {Array} blocks
+ * @param {String|Function} merge "deep", "shallow" or function (target, source).
+ * @return {Mixed} The merged data, or a promise for it.
+ */
+function mergeBlocks(blocks, merge) {
+  var values = blocks.map(function (block) { return block.data; });
+  var combine = function (values) {
+    return values.reduce(function (target, source) {
+      if (source == null) {
+        return target;
+      }
+      if (target == null) {
+        return cloneData(source);
+      }
+      if (typeof merge === 'function') {
+        return merge(target, source);
+      }
+      return mergeData(target, source, merge === 'deep');
+    }, null);
+  };
+  if (values.some(isThenable)) {
+    return Promise.all(values).then(function (values) {
+      // The blocks get their data before the merged data is resolved.
+      blocks.forEach(function (block, i) {
+        block.data = values[i];
+      });
+      return combine(values);
+    });
+  }
+  return combine(values);
+}
+
+function mergeData(target, source, deep) {
+  if (!isPlainObject(target) || !isPlainObject(source)) {
+    return cloneData(source);
+  }
+  Object.keys(source).forEach(function (key) {
+    target[key] = (deep && Object.prototype.hasOwnProperty.call(target, key)) ?
+                  mergeData(target[key], source[key], deep) : cloneData(source[key]);
+  });
+  return target;
+}
+
+
+/**
+ * Test if the input string contains front matter.
+ *
+ * @param {(String|Buffer|Uint8Array)} str The input string or bytes.
+ * @param {Options} opts
+ *        @param {Boolean} opts.loose Whether to tolerate ambiguous delimiters.
+ *        @param {(String|Array)?} opts.delims Custom delimiter(s) or delimiter profiles. Default: '---' or ['---', '---']
+ *        @param {Boolean?} opts.braces Whether to accept a JSON object at the start as front matter.
+ *        @param {String?} opts.encoding The encoding of the bytes.
+ * @return {Boolean}
+ */
+matter.test = function (str, opts) {
+  opts = (opts != null ? opts : {});
+  if (isBytes(str)) {
+    var encoding = formatEncoding(opts.encoding, true);
+    if (encoding === undefined) {
+      return false;
+    }
+    str = decodeInput(str, encoding).str;
+    str = (str.charCodeAt(0) === 0xFEFF ? str.substr(1) : str);
+  }
+  if ((typeof str !== 'string') || !str) {
+    return false;
+  }
+  var profiles = formatProfiles(opts.delims, true);
+  if (!profiles) {
+    return false;
+  }
+  return (opts.braces && scanBraces(str, opts.loose) !== null) ||
+         scanProfiles(str, profiles, opts.loose) !== null;
+};
+
+
+/**
+ * Serialize the data and prepend it to the body as front matter.
+ *
+ * @param {String} body The text after the front matter.
+ * @param {Mixed} data The data to serialize. No front matter for null.
+ * @param {Object?} opts
+ *        @param {Boolean?} opts.loose Passed to the serializers.
+ *        @param {String?} opts.lang The name of the serializer to use if opts.serializers is not a function. Default: 'yaml'
+ *        @param {(String|Array)?} opts.delims Custom delimiter(s), or delimiter profiles where the
+ *                                             first one for opts.lang is used. Default: '---' or ['---', '---']
+ *        @param {(Function|Object.<String, Function>)?} opts.serializers Custom serializer(s). Default: {'yaml':yaml,'toml':toml,'json':json}
+ *        @param {Boolean?} opts.braces Whether to write a JSON object without delimiters. Default: false
+ *        @param {String?} opts.eol The line ending for the front matter: '\n' or '\r\n'. Default: '\n'
+ *        @param {Boolean?} opts.bom Whether to prepend a byte-order mark. Default: false
+ * @return {String}
+ */
+matter.stringify = function (body, data, opts) {
+  body = (body != null ? body : '');
+  if (typeof body !== 'string') {
+    throw new Error(message('The first argument of matter.stringify() must be of type String.'));
+  }
+  opts = formatOptions(opts);
+  if (data == null) {
+    return body;
+  }
+  var lang = opts.lang;
+  var text = serialize(data, lang, opts);
+  if (text && text[text.length-1] !== '\n') {
+    text += '\n';
+  }
+  var eol = opts.eol;
+  var bom = opts.bom ? '\uFEFF' : '';
+  if (opts.braces && lang === 'json' && text[0] === '{') {
+    return bom + text.replace(/\n/g, eol) + body;
+  }
+  var profile = opts.profiles.filter(function (profile) {
+    return profile.lang !== null && resolveLanguage(profile.lang, opts) === lang;
+  })[0] || opts.profiles[0];
+  // The language tag is only needed when it differs from the default one.
+  var tag = (lang !== resolveLanguage(profile.lang || 'yaml', opts) ? lang : '');
+  if (profile.comment) {
+    // The comment goes after the shebang line.
+    var shebang = /^#![^\n]*\n/.exec(body);
+    shebang = shebang ? shebang[0] : '';
+    return bom + shebang + wrapComment(profile, tag, text).replace(/\n/g, eol) +
+           body.substr(shebang.length);
+  }
+  return bom + profile.delims[0] + tag + eol +
+         text.replace(/\n/g, eol) + profile.delims[1] + eol + body;
+};
+
+
+/**
+ * Change the front matter data and rewrite only the affected lines of the
+ * data block. The delimiters, the language tag, line endings, the byte-order
+ * mark and the body are kept as they are.
+ *
+ * Lines are rewritten per top-level key for YAML and TOML, and the whole data
+ * block is rewritten for other languages or when the edited block would not
+ * give back the new data.
+ *
+ * @param {String} str The string to update.
+ * @param {Function} mutator function(data) that changes the data in place or
+ *                           returns the new data. Null removes the front matter.
+ * @param {Object?} opts Options to parse to matter() and matter.stringify().
+ * @return {String} The updated string.
+ * @throws {MatterError} If the front matter cannot be parsed.
+ */
+matter.update = function (str, mutator, opts) {
+  if (typeof mutator !== 'function') {
+    throw new Error(message('The mutator of matter.update() must be a function.'));
+  }
+  opts = formatOptions(opts);
+  opts.strict = true;  // Never overwrite front matter that cannot be parsed.
+  opts.multiple = false;  // Only the first block is edited.
+  opts.excerpt = null;  // The body is kept as it is.
+  opts.interpolate = false;  // The references are kept, not their values.
+  opts.schema = null;  // The defaults and the coerced values are not written.
+  var result = extract(str, opts, false);
+  var bom = result.bom ? '\uFEFF' : '';
+  var before = result.data != null ? result.data : {};
+  var data = cloneData(before);
+  var returned = mutator(data);
+  if (returned !== undefined) {
+    data = returned;
+  }
+  if (isEqual(before, data)) {
+    return str;
+  }
+  // Keep the shebang line before a comment.
+  var head = result.loc ? result.src.substr(0, result.loc.open.start) : '';
+  if (data == null) {
+    return bom + head + result.body;
+  }
+  if (!result.loc) {
+    opts.eol = result.eol;
+    opts.bom = result.bom;
+    return matter.stringify(result.src, data, opts);
+  }
+  if (result.profile && result.profile.comment) {
+    // The comment syntax is written anew with the whole block.
+    opts.eol = result.eol;
+    opts.bom = false;
+    opts.lang = result.lang;
+    opts.delims = [result.profile];
+    return bom + head + matter.stringify(result.body, data, opts);
+  }
+  var text = null;
+  if (isPlainObject(before) && isPlainObject(data) &&
+      (result.lang === 'yaml' || result.lang === 'toml')) {
+    text = editBlock(result, before, data, opts);
+    if (text !== null) {
+      try {
+        if (!isEqual(extract(text, opts, false).data, data)) {
+          text = null;
+        }
+      } catch (err) {
+        // e.g. an alias whose anchor is edited away.
+        text = null;
+      }
+    }
+  }
+  if (text === null) {
+    var lines = serialize(data, result.lang, opts).replace(/\n$/, '').split('\n');
+    var cr = result.eol === '\r\n' ? '\r' : '';
+    text = lines.map(function (line) {
+      return line + cr;
+    }).join('\n');
+    if (result.loc.open.end === 0) {
+      text = text.replace(/\r$/, '');  // The closing brace keeps its line ending.
+    }
+    text = replaceBlock(result, text);
+  }
+  return bom + text;
+};
+
+
+/**
+ * Find the front matter at the start of the string.
+ *
+ * @param {String} str
+ * @param {String} header The opening delimiter.
+ * @param {String} footer The closing delimiter.
+ * @param {Boolean} loose Whether to tolerate ambiguous delimiters.
+ * @return {Object?} The offsets of the parts and the language tag, or null if not found.
+ */
+function scan(str, header, footer, loose) {
+  var strict = !loose;
+  var dataStart, dataEnd;
+  // Front matter must start from the first byte.
+  if (str.substr(0, header.length) !== header ||
+      // Whether the delimiter is followed by a strange character.
+      (strict && header.length < str.length &&
+          str[header.length] !== '\n' &&
+          str[header.length] === header[header.length-1]) ||
+      // Metadata and delimiters should be separated with linefeeds.
+      (dataStart = str.indexOf('\n', header.length)) < 0 ||
+      (dataEnd = str.indexOf('\n' + footer, dataStart)) < 0) {
+    return null;
+  }
+  var bodyStart = dataEnd + 1 + footer.length;
+  // Whether the delimiter is followed by strange characters.
+  if (strict && bodyStart < str.length) {
+    if (str[bodyStart] !== '\n' && str[bodyStart] === footer[footer.length-1]) {
+      return null;
+    }
+    while (bodyStart < str.length && str[bodyStart] !== '\n') {
+      if (/^[^\s]$/.test(str[bodyStart])) {
+        return null;
+      }
+      bodyStart++;
+    }
+  }  // else: Tolerate the case that a linefeed is missing: <end-delimiter><body>
+  if (str[bodyStart] === '\r') { bodyStart++; }
+  if (str[bodyStart] === '\n') { bodyStart++; }
+  return {
+    delimiter: header,
+    profile: null,
+    lang: null,
+    tag: str.substr(header.length, dataStart - header.length),
+    openEnd: header.length,
+    dataStart: Math.min(dataStart + 1, dataEnd),
+    dataEnd: dataEnd,
+    closeStart: dataEnd + 1,
+    closeEnd: dataEnd + 1 + footer.length,
+    bodyStart: bodyStart
+  };
+}
+
+/**
+ * Find the front matter with the first matched delimiter profile.
+ *
+ * @param {String} str
+ * @param {Array.<Object>} profiles The formatted profiles.
+ * @param {Boolean} loose Whether to tolerate ambiguous delimiters.
+ * @return {Object?} The same as scan() with the profile, or null if not found.
+ */
+function scanProfiles(str, profiles, loose) {
+  for (var i = 0; i < profiles.length; i++) {
+    var profile = profiles[i];
+    var pos = profile.comment ? scanComment(str, profile, loose) :
+              scan(str, profile.delims[0], profile.delims[1], loose);
+    if (pos) {
+      pos.profile = profile;
+      return pos;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the front matter inside a leading comment, e.g. "/* --- ... --- *\/"
+ * or lines of "# ---". A shebang line may come before the comment.
+ *
+ * @param {String} str
+ * @param {Object} profile The formatted profile with comment syntax.
+ * @param {Boolean} loose Whether to tolerate ambiguous delimiters.
+ * @return {Object?} The same as scan(), where the delimiters include the
+ *         comment syntax, plus the data without the comment syntax and the
+ *         widths of the stripped line prefixes. Null if not found.
+ */
+function scanComment(str, profile, loose) {
+  var strict = !loose;
+  var comment = profile.comment;
+  var header = profile.delims[0];
+  var footer = profile.delims[1];
+  var lineEnd = function (start) {
+    var end = str.indexOf('\n', start);
+    return end < 0 ? str.length : end;
+  };
+  // Skip the line prefix, or return -1 if a line comment has ended.
+  var strip = function (start) {
+    var i = start;
+    while (str[i] === ' ' || str[i] === '\t') { i++; }
+    if (comment.prefix && str.substr(i, comment.prefix.length) === comment.prefix) {
+      i += comment.prefix.length;
+      if (str[i] === ' ' || str[i] === '\t') { i++; }
+      return i;
+    }
+    return comment.open ? start : -1;
+  };
+  var openStart = 0;
+  if (str.substr(0, 2) === '#!') {
+    openStart = lineEnd(0) + 1;
+  }
+  var pos = openStart;
+  if (comment.open) {
+    if (str.substr(pos, comment.open.length) !== comment.open) {
+      return null;
+    }
+    pos += comment.open.length;
+    var rest = str.slice(pos, lineEnd(pos)).trim();
+    if (rest === '' || rest === comment.prefix) {  // e.g. "/**"
+      pos = lineEnd(pos) + 1;
+      if (pos > str.length) {
+        return null;
+      }
+      pos = strip(pos);
+    } else {
+      while (str[pos] === ' ' || str[pos] === '\t') { pos++; }
+    }
+  } else if (pos > str.length || (pos = strip(pos)) < 0) {
+    return null;
+  }
+  var openEnd = pos + header.length;
+  var headerEnd = lineEnd(openEnd);
+  var tag = str.slice(openEnd, headerEnd);
+  if (str.substr(pos, header.length) !== header ||
+      // Whether the delimiter is followed by a strange character.
+      (strict && openEnd < str.length && str[openEnd] !== '\n' &&
+          str[openEnd] === header[header.length-1]) ||
+      (comment.close && tag.indexOf(comment.close) >= 0) ||
+      headerEnd >= str.length) {
+    return null;
+  }
+  var data = [];
+  var shifts = [];
+  var lineStart = headerEnd + 1;
+  var textStart;
+  while (true) {
+    var end = lineEnd(lineStart);
+    if ((textStart = strip(lineStart)) < 0) {
+      return null;
+    }
+    if (str.substr(textStart, footer.length) === footer) {
+      break;
+    }
+    if ((comment.close && str.slice(lineStart, end).indexOf(comment.close) >= 0) ||
+        end >= str.length) {
+      return null;
+    }
+    data.push(str.slice(textStart, end));
+    shifts.push(textStart - lineStart);
+    lineStart = end + 1;
+  }
+  var closeEnd = textStart + footer.length;
+  if (strict && closeEnd < str.length && str[closeEnd] !== '\n' &&
+      str[closeEnd] === footer[footer.length-1]) {
+    return null;
+  }
+  if (comment.close) {
+    var footerEnd = lineEnd(closeEnd);
+    var index = str.slice(closeEnd, footerEnd).indexOf(comment.close);
+    if (index < 0) {
+      // The comment may be closed on the next line.
+      if ((strict && /\S/.test(str.slice(closeEnd, footerEnd))) || footerEnd >= str.length) {
+        return null;
+      }
+      closeEnd = footerEnd + 1;
+      while (str[closeEnd] === ' ' || str[closeEnd] === '\t') { closeEnd++; }
+      if (str.substr(closeEnd, comment.close.length) !== comment.close) {
+        return null;
+      }
+    } else if (strict && /\S/.test(str.substr(closeEnd, index))) {
+      return null;
+    } else {
+      closeEnd += index;
+    }
+    closeEnd += comment.close.length;
+  }
+  var bodyStart = closeEnd;
+  // Whether the comment is followed by strange characters.
+  if (strict) {
+    while (bodyStart < str.length && str[bodyStart] !== '\n') {
+      if (/^[^\s]$/.test(str[bodyStart])) {
+        return null;
+      }
+      bodyStart++;
+    }
+  }
+  if (str[bodyStart] === '\r') { bodyStart++; }
+  if (str[bodyStart] === '\n') { bodyStart++; }
+  return {
+    delimiter: header,
+    profile: null,
+    lang: null,
+    tag: tag,
+    openStart: openStart,
+    openEnd: openEnd,
+    dataStart: Math.min(headerEnd + 1, lineStart - 1),
+    dataEnd: lineStart - 1,
+    closeStart: lineStart,
+    closeEnd: closeEnd,
+    bodyStart: bodyStart,
+    data: data.join('\n'),
+    shifts: shifts
+  };
+}
+
+/**
+ * Find the JSON object at the start of the string. The braces are part of
+ * the data rather than delimiters.
+ *
+ * @param {String} str
+ * @param {Boolean} loose Whether to tolerate strange characters after the object.
+ * @return {Object?} The same as scan(), or null if not found.
+ */
+function scanBraces(str, loose) {
+  if (str[0] !== '{') {
+    return null;
+  }
+  var depth = 0;
+  var quoted = false;
+  for (var i = 0; i < str.length; i++) {
+    var c = str[i];
+    if (quoted) {
+      if (c === '\\') {
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === '{') {
+      depth++;
+    } else if (c === '}' && --depth === 0) {
+      break;
+    }
+  }
+  if (i >= str.length) {
+    return null;
+  }
+  var dataEnd = i + 1;
+  var bodyStart = dataEnd;
+  if (!loose) {
+    while (bodyStart < str.length && str[bodyStart] !== '\n') {
+      if (/^[^\s]$/.test(str[bodyStart])) {
+        return null;
+      }
+      bodyStart++;
+    }
+  }
+  if (str[bodyStart] === '\r') { bodyStart++; }
+  if (str[bodyStart] === '\n') { bodyStart++; }
+  return {
+    delimiter: '{',
+    profile: null,
+    lang: 'json',
+    tag: '',
+    openEnd: 0,
+    dataStart: 0,
+    dataEnd: dataEnd,
+    closeStart: dataEnd,
+    closeEnd: dataEnd,
+    bodyStart: bodyStart
+  };
+}
+
+// The offsets and the 1-based line number of a part of the string.
+function locateRange(str, start, end) {
+  var line = 1;
+  for (var i = str.indexOf('\n'); i >= 0 && i < start; i = str.indexOf('\n', i + 1)) {
+    line++;
+  }
+  return {start: start, end: end, line: line};
+}
+
+/**
+ * Set result.excerpt for opts.excerpt: the text before the separator, the
+ * first paragraph, or what the function returns for the body. Blank lines
+ * around the excerpt are trimmed, and it is null if the separator or any
+ * paragraph is not found.
+ *
+ * @param {Object} result
+ * @param {Object} opts The formatted options.
+ */
+function extractExcerpt(result, opts) {
+  var body = result.body;
+  var excerpt = null;
+  if (typeof opts.excerpt === 'function') {
+    excerpt = opts.excerpt(body);
+    excerpt = (excerpt !== undefined ? excerpt : null);
+    if (excerpt !== null && typeof excerpt !== 'string') {
+      throw new Error(message('The function of the option "excerpt" must return a string or null.'));
+    }
+  } else if (opts.excerpt === true) {
+    var text = body.replace(/^(?:[ \t]*\r?\n)+/, '');
+    var end = text.search(/\r?\n[ \t]*(?:\r?\n|$)/);
+    excerpt = (end >= 0 ? text.substr(0, end) : text).replace(/\s+$/, '') || null;
+  } else {
+    var start = body.indexOf(opts.excerpt);
+    if (start >= 0) {
+      excerpt = body.substr(0, start).replace(/^(?:[ \t]*\r?\n)+/, '').replace(/\s+$/, '');
+      if (opts.stripSeparator) {
+        var stop = start + opts.excerpt.length;
+        // A separator on its own line is removed with the line.
+        var rest = /^[ \t]*(?:\r?\n|$)/.exec(body.substr(stop));
+        if (rest && (start === 0 || body[start - 1] === '\n')) {
+          stop += rest[0].length;
+        }
+        result.body = body.substr(0, start) + body.substr(stop);
+      }
+    }
+  }
+  result.excerpt = excerpt;
+}
+
+/**
+ * Deep-merge the data of the file over the data of the defaults files, and
+ * record the file that each key path comes from in result.sources.
+ *
+ * @param {Mixed} data The data of the file.
+ * @param {Object} cascade {path, files: [{path, data}]} from fileOptions() of files.js.
+ * @param {Object} result
+ * @return {Mixed} The merged data.
+ */
+function inheritData(data, cascade, result) {
+  var sources = result.sources = {};
+  if (data != null && !isPlainObject(data)) {
+    return data;
+  }
+  var record = function (value, keyPath, path) {
+    var keys = isPlainObject(value) ? Object.keys(value) : [];
+    if (keys.length === 0) {
+      sources[keyPath] = path;
+    }
+    keys.forEach(function (key) {
+      record(value[key], joinPath(keyPath, key), path);
+    });
+  };
+  // Follow the steps of mergeData() before it changes the target.
+  var walk = function (target, source, keyPath, path) {
+    delete sources[keyPath];
+    Object.keys(source).forEach(function (key) {
+      var subPath = joinPath(keyPath, key);
+      if (target != null && isPlainObject(target[key]) && isPlainObject(source[key])) {
+        walk(target[key], source[key], subPath, path);
+        return;
+      }
+      Object.keys(sources).forEach(function (other) {
+        if (other === subPath || other.indexOf(subPath + '.') === 0) {
+          delete sources[other];
+        }
+      });
+      record(source[key], subPath, path);
+    });
+  };
+  var merged = null;
+  cascade.files.concat({path: cascade.path, data: data}).forEach(function (file) {
+    if (file.data != null) {
+      walk(merged, file.data, '', file.path);
+      merged = merged === null ? cloneData(file.data) : mergeData(merged, file.data, true);
+    }
+  });
+  return merged;
+}
+
+/**
+ * Replace the references like "{{ slug }}" and "${env.HOME}" in the strings
+ * of the data with the values of other keys, opts.context or the file facts.
+ * A string of only one reference gets the value as it is. The references are
+ * key paths, never code, and those that cannot be resolved are kept and
+ * reported in result.unresolved.
+ *
+ * @param {Mixed} data
+ * @param {Object} result
+ * @param {Object} opts The formatted options.
+ * @param {String?} delimiter The opening delimiter.
+ * @return {Mixed} The new data.
+ * @throws {MatterError} If opts.strict is true and any reference is unresolved.
+ */
+function interpolate(data, result, opts, delimiter) {
+  var pattern = /\{\{\s*([^{}]*?)\s*\}\}|\$\{\s*([^{}]*?)\s*\}/g;
+  var unresolved = result.unresolved = [];
+  var context = {};
+  [opts.file != null ? {file: opts.file} : null, opts.context].forEach(function (source) {
+    if (source != null) {
+      Object.keys(source).forEach(function (key) {
+        context[key] = source[key];
+      });
+    }
+  });
+  var hasOwn = function (value, key) {
+    return value != null && typeof value === 'object' &&
+           Object.prototype.hasOwnProperty.call(value, key);
+  };
+  var memo = {};
+  var failed = {};  // The key paths with unresolved references inside.
+  var resolving = [];
+  var CIRCULAR = {};
+  var resolve = function (value, keyPath) {
+    if (hasOwn(memo, keyPath)) {
+      return memo[keyPath];
+    }
+    if (resolving.indexOf(keyPath) >= 0) {
+      return CIRCULAR;
+    }
+    resolving.push(keyPath);
+    var count = unresolved.length;
+    var resolved = value;
+    if (typeof value === 'string') {
+      resolved = expand(value, keyPath);
+    } else if (Array.isArray(value) || isPlainObject(value)) {
+      resolved = Array.isArray(value) ? [] : {};
+      Object.keys(value).forEach(function (key) {
+        resolved[key] = resolve(value[key], joinPath(keyPath, key));
+      });
+    }
+    resolving.pop();
+    failed[keyPath] = unresolved.length > count;
+    return (memo[keyPath] = resolved);
+  };
+  var lookup = function (name) {
+    var keys = name.split('.');
+    var value = data;
+    var keyPath = '';
+    for (var i = 0; i < keys.length; i++) {
+      if (typeof value === 'string') {
+        value = resolve(value, keyPath);
+      }
+      if (!hasOwn(value, keys[i])) {
+        value = context;
+        for (var j = 0; j < keys.length; j++) {
+          if (!hasOwn(value, keys[j])) {
+            return {message: 'is not defined'};
+          }
+          value = value[keys[j]];
+        }
+        return {value: value};
+      }
+      value = value[keys[i]];
+      keyPath = joinPath(keyPath, keys[i]);
+    }
+    value = resolve(value, keyPath);
+    if (value === CIRCULAR) {
+      return {message: 'is circular'};
+    }
+    return failed[keyPath] ? {message: 'is unresolved'} : {value: cloneData(value)};
+  };
+  var expand = function (str, keyPath) {
+    var whole = null;
+    var text = str.replace(pattern, function (match, a, b, offset) {
+      var name = a != null ? a : b;
+      var found = /^[A-Za-z_$][\w$-]*(\.[\w$-]+)*$/.test(name) ?
+                  lookup(name) : {message: 'is not a key path'};
+      if (!found.hasOwnProperty('value')) {
+        unresolved.push({path: keyPath, reference: name, message: found.message});
+        return match;
+      }
+      if (match.length === str.length) {
+        whole = found;
+      }
+      return toText(found.value);
+    });
+    return whole !== null ? whole.value : text;
+  };
+  var toText = function (value) {
+    if (value == null) {
+      return '';
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  };
+  data = resolve(data, '');
+  if (unresolved.length > 0 && opts.strict) {
+    var reason = unresolved.map(function (error) {
+      return (error.path ? error.path + ': ' : '') + '"' + error.reference + '" ' + error.message;
+    }).join('; ');
+    throw new MatterError('Unresolved references in the front matter: ' + reason, {
+      lang: result.lang,
+      delimiter: delimiter,
+      reason: reason,
+      line: null,
+      column: null,
+      errors: unresolved
+    });
+  }
+  return data;
+}
+
+function getSerializer(lang, opts) {
+  var stringify;
+  if (typeof opts.serializers === 'function') {
+    stringify = opts.serializers;
+  } else if (opts.serializers != null && opts.serializers[lang]) {
+    stringify = opts.serializers[lang];
+  } else {
+    stringify = opts.registry.serializers[lang];
+  }
+  if (typeof stringify !== 'function') {
+    throw new Error(message('No serializer found for the language: ' + lang));
+  }
+  return stringify;
+}
+
+function serialize(data, lang, opts) {
+  return String(getSerializer(lang, opts)(data, getLanguageOptions(lang, opts)));
+}
+
+/**
+ * Map an alias like "yml" to the name of the language.
+ *
+ * @param {String} lang Lower-case.
+ * @param {Object} opts The formatted options.
+ * @return {String}
+ */
+function resolveLanguage(lang, opts) {
+  var aliases = opts.registry.aliases;
+  return Object.prototype.hasOwnProperty.call(aliases, lang) ? aliases[lang] : lang;
+}
+
+/**
+ * @param {String} lang
+ * @param {Object} opts The formatted options.
+ * @return {Object} The options of the language with "loose", for the parser
+ *         and the serializer. Those in opts.languageOptions come last.
+ */
+function getLanguageOptions(lang, opts) {
+  var result = {};
+  [opts.registry.languageOptions, opts.languageOptions].forEach(function (map) {
+    var options = map != null ? map[lang] : null;
+    if (options != null) {
+      Object.keys(options).forEach(function (key) {
+        result[key] = options[key];
+      });
+    }
+  });
+  result.loose = opts.loose;
+  return result;
+}
+
+/**
+ * Write the serialized data and the delimiters in a comment.
+ *
+ * @param {Object} profile The formatted profile with comment syntax.
+ * @param {String} tag The language tag.
+ * @param {String} text The serialized data.
+ * @return {String}
+ */
+function wrapComment(profile, tag, text) {
+  var comment = profile.comment;
+  var prefix = comment.prefix != null ? (comment.open ? ' ' : '') + comment.prefix : '';
+  var lines = [profile.delims[0] + tag].concat(
+      text ? text.replace(/\n$/, '').split('\n') : [], profile.delims[1]);
+  lines = lines.map(function (line, i) {
+    var lead = (i === 0 && comment.open) ? comment.open : prefix;
+    return lead + (lead && line ? ' ' : '') + line;
+  });
+  if (comment.close) {
+    lines[lines.length-1] += ' ' + comment.close;
+  }
+  return lines.join('\n') + '\n';
+}
+
+function isPlainObject(value) {
+  return value != null && typeof value === 'object' &&
+         !Array.isArray(value) && !(value instanceof Date);
+}
+
+function cloneData(value) {
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (Array.isArray(value)) {
+    return value.map(cloneData);
+  }
+  if (isPlainObject(value)) {
+    var copy = {};
+    Object.keys(value).forEach(function (key) {
+      copy[key] = cloneData(value[key]);
+    });
+    return copy;
+  }
+  return value;
+}
+
+function isEqual(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length &&
+           a.every(function (item, i) { return isEqual(item, b[i]); });
+  }
+  if (isPlainObject(a) || isPlainObject(b)) {
+    if (!isPlainObject(a) || !isPlainObject(b)) {
+      return false;
+    }
+    var keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(function (key) {
+      return b.hasOwnProperty(key) && isEqual(a[key], b[key]);
+    });
+  }
+  return a === b || (a !== a && b !== b);  // NaN
+}
+
+/**
+ * Replace the data block in result.src.
+ *
+ * @param {Object} result The result from extract() with front matter.
+ * @param {String} text The new text between the delimiters.
+ * @return {String}
+ */
+function replaceBlock(result, text) {
+  var src = result.src;
+  var loc = result.loc;
+  if (loc.data.start === loc.data.end && loc.open.end > 0) {
+    // An empty block has no linefeed of its own.
+    var nl = src.indexOf('\n', loc.open.end);
+    return src.substr(0, nl + 1) + (text ? text + '\n' : '') + src.substr(nl + 1);
+  }
+  return src.substr(0, loc.data.start) + text + src.substr(loc.data.end);
+}
+
+/**
+ * Rewrite the lines of the top-level keys that differ between the data.
+ *
+ * @param {Object} result The result from extract() with front matter.
+ * @param {Object} before The original data.
+ * @param {Object} after The new data.
+ * @param {Object} opts The formatted options.
+ * @return {String?} The new string, or null if the block is not editable.
+ */
+function editBlock(result, before, after, opts) {
+  var loc = result.loc;
+  var cr = result.eol === '\r\n' ? '\r' : '';
+  // Lines keep their own carriage returns so that untouched ones stay the same.
+  var lines = loc.data.start === loc.data.end ? [] : result.matter.split('\n');
+  var entries = result.lang === 'toml' ? findTomlEntries(lines) : findYamlEntries(lines);
+  if (!entries) {
+    return null;
+  }
+  var edits = [];
+  var inserts = [];
+  var tableInserts = [];
+  var stringify = function (key, value) {
+    var data = {};
+    data[key] = value;
+    return serialize(data, result.lang, opts).replace(/\n$/, '').split('\n').filter(function (line, i) {
+      return i > 0 || line !== '';
+    });
+  };
+  var isTable = function (value) {
+    return isTomlTable(value) || isTomlTableArray(value);
+  };
+  Object.keys(before).concat(Object.keys(after)).forEach(function (key, i, keys) {
+    if (keys.indexOf(key) !== i || isEqual(before[key], after[key])) {
+      return;
+    }
+    var entry = entries.keys.hasOwnProperty(key) ? entries.keys[key] : null;
+    var removed = !after.hasOwnProperty(key);
+    var newLines;
+    if (removed) {
+      newLines = [];
+    } else if (result.lang === 'toml' && entry && entry.type === 'line') {
+      newLines = [stringifyTomlKey(key) + ' = ' + stringifyTomlValue(after[key], opts.loose)];
+    } else if (result.lang === 'toml' && isTable(after[key])) {
+      newLines = stringify(key, after[key]);
+      if (!entry) {
+        tableInserts.push.apply(tableInserts, [''].concat(newLines));
+        return;
+      }
+    } else if (result.lang === 'toml' && entry) {  // a table becomes a value
+      edits.push({start: entry.start, end: entry.end, lines: []});
+      inserts.push.apply(inserts, stringify(key, after[key]));
+      return;
+    } else {
+      newLines = stringify(key, after[key]);
+    }
+    if (entry) {
+      edits.push({start: entry.start, end: entry.end, lines: newLines});
+    } else if (!removed) {
+      inserts.push.apply(inserts, newLines);
+    }
+  });
+  if (inserts.length > 0) {
+    edits.push({start: entries.insertAt, end: entries.insertAt, lines: inserts});
+  }
+  if (tableInserts.length > 0) {
+    edits.push({start: lines.length, end: lines.length, lines: tableInserts});
+  }
+  edits.sort(function (a, b) {
+    return b.start - a.start;
+  }).forEach(function (edit) {
+    lines.splice.apply(lines, [edit.start, edit.end - edit.start].concat(edit.lines.map(function (line) {
+      return line + cr;
+    })));
+  });
+  return replaceBlock(result, lines.join('\n'));
+}
+
+/**
+ * Find the lines of the top-level keys in the YAML block.
+ *
+ * @param {Array.<String>} lines
+ * @return {Object?} {keys: {key: {start, end}}, insertAt}, or null if unsupported.
+ */
+function findYamlEntries(lines) {
+  var keys = {};
+  var current = null;
+  var insertAt = 0;
+  for (var i = 0; i < lines.length; i++) {
+    var line = lines[i].replace(/\r$/, '');
+    if (/^\s*$/.test(line)) {
+      continue;
+    }
+    insertAt = i + 1;
+    if (/^[ \t]/.test(line) || (current && /^-(?:\s|$)/.test(line))) {
+      if (!current) {
+        return null;
+      }
+      current.end = i + 1;
+      continue;
+    }
+    if (line[0] === '#') {
+      current = null;
+      continue;
+    }
+    var match = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"?&*!|>%@`{}\[\],-][^#]*?|-[^\s#][^#]*?)\s*:(?:\s|$)/.exec(line);
+    if (!match) {
+      return null;
+    }
+    var key = match[1];
+    if (key[0] === '"') {
+      key = JSON.parse(key);
+    } else if (key[0] === "'") {
+      key = key.slice(1, -1).replace(/''/g, "'");
+    }
+    if (keys.hasOwnProperty(key)) {
+      return null;
+    }
+    current = keys[key] = {start: i, end: i + 1};
+  }
+  return {keys: keys, insertAt: insertAt};
+}
+
+/**
+ * Find the lines of the top-level keys and tables in the TOML block.
+ *
+ * @param {Array.<String>} lines
+ * @return {Object?} {keys: {key: {start, end, type}}, insertAt}, or null if unsupported.
+ */
+function findTomlEntries(lines) {
+  var keys = {};
+  var current = null;
+  var insertAt = 0;
+  var inTables = false;
+  var keyPattern = /^\s*("(?:[^"\\]|\\.)*"|'[^']*'|[A-Za-z0-9_-]+)/;
+  var unquote = function (key) {
+    if (key[0] === '"') {
+      return JSON.parse(key);
+    }
+    return key[0] === "'" ? key.slice(1, -1) : key;
+  };
+  for (var i = 0; i < lines.length; i++) {
+    var line = lines[i].replace(/\r$/, '');
+    var blank = /^\s*(?:#.*)?$/.test(line);
+    if (/^\s*\[/.test(line)) {
+      var match = keyPattern.exec(line.replace(/^\s*\[\[?\s*/, ''));
+      if (!match) {
+        return null;
+      }
+      var key = unquote(match[1]);
+      if (keys.hasOwnProperty(key) && (keys[key] !== current || keys[key].type !== 'table')) {
+        return null;  // not contiguous
+      }
+      current = keys[key] = keys[key] || {start: i, end: i + 1, type: 'table'};
+      current.end = i + 1;
+      inTables = true;
+    } else if (inTables) {
+      if (!blank) {
+        current.end = i + 1;
+      }
+    } else if (blank) {
+      current = null;
+    } else if ((match = /^\s*("(?:[^"\\]|\\.)*"|'[^']*'|[A-Za-z0-9_-]+)\s*=/.exec(line))) {
+      key = unquote(match[1]);
+      if (keys.hasOwnProperty(key)) {
+        return null;
+      }
+      current = keys[key] = {start: i, end: i + 1, type: 'line'};
+      insertAt = i + 1;
+    } else if (current) {  // a value in multiple lines
+      current.end = insertAt = i + 1;
+    } else {
+      return null;
+    }
+  }
+  return {keys: keys, insertAt: insertAt};
+}
+
+function isThenable(value) {
+  return value != null && (typeof value === 'object' || typeof value === 'function') &&
+         typeof value.then === 'function';
+}
+
+function detectEol(str) {
+  var nl = str.indexOf('\n');
+  return (nl > 0 && str[nl-1] === '\r') ? '\r\n' : '\n';
+}
+
+// Buffer is a Uint8Array in new versions of node, and the tag tells one from
+// another realm like an iframe or jsdom.
+function isBytes(value) {
+  return (typeof Buffer === 'function' && Buffer.isBuffer(value)) ||
+         Object.prototype.toString.call(value) === '[object Uint8Array]';
+}
+
+/**
+ * Decode the input if it is a Buffer or an Uint8Array. It does not use Buffer
+ * or TextDecoder, so that the result is the same in any environment.
+ *
+ * @param {(String|Buffer|Uint8Array)} input
+ * @param {String?} encoding The formatted encoding, or null to detect it from
+ *                           the byte-order mark with UTF-8 as the fallback.
+ * @return {Object} {str, encoding} where encoding is null for a string.
+ */
+function decodeInput(input, encoding) {
+  if (!isBytes(input)) {
+    return {str: input, encoding: null};
+  }
+  if (encoding === null) {
+    if (input[0] === 0xFF && input[1] === 0xFE) {
+      encoding = 'utf16le';
+    } else if (input[0] === 0xFE && input[1] === 0xFF) {
+      encoding = 'utf16be';
+    } else {
+      encoding = 'utf8';
+    }
+  }
+  var codes = [];
+  var i;
+  if (encoding === 'utf8') {
+    codes = decodeUtf8(input);
+  } else if (encoding === 'utf16le' || encoding === 'utf16be') {
+    var high = (encoding === 'utf16le' ? 1 : 0);
+    for (i = 0; i + 1 < input.length; i += 2) {  // The odd byte at the end is dropped.
+      codes.push(input[i + high] << 8 | input[i + 1 - high]);
+    }
+  } else {
+    var mask = (encoding === 'ascii' ? 0x7F : 0xFF);
+    for (i = 0; i < input.length; i++) {
+      codes.push(input[i] & mask);
+    }
+  }
+  var str = '';
+  for (i = 0; i < codes.length; i += 0x2000) {
+    str += String.fromCharCode.apply(null, codes.slice(i, i + 0x2000));
+  }
+  return {str: str, encoding: encoding};
+}
+
+// Decode UTF-8 to UTF-16 code units like the Encoding Standard does, where an
+// invalid sequence becomes U+FFFD.
+function decodeUtf8(bytes) {
+  var codes = [];
+  var point = 0, needed = 0, seen = 0, lower = 0x80, upper = 0xBF;
+  for (var i = 0; i < bytes.length; i++) {
+    var byte = bytes[i];
+    if (needed === 0) {
+      if (byte <= 0x7F) {
+        codes.push(byte);
+      } else if (byte >= 0xC2 && byte <= 0xDF) {
+        needed = 1;
+        point = byte & 0x1F;
+      } else if (byte >= 0xE0 && byte <= 0xEF) {
+        lower = (byte === 0xE0 ? 0xA0 : 0x80);
+        upper = (byte === 0xED ? 0x9F : 0xBF);
+        needed = 2;
+        point = byte & 0x0F;
+      } else if (byte >= 0xF0 && byte <= 0xF4) {
+        lower = (byte === 0xF0 ? 0x90 : 0x80);
+        upper = (byte === 0xF4 ? 0x8F : 0xBF);
+        needed = 3;
+        point = byte & 0x07;
+      } else {
+        codes.push(0xFFFD);
+      }
+      continue;
+    }
+    if (byte < lower || byte > upper) {
+      point = needed = seen = 0;
+      lower = 0x80;
+      upper = 0xBF;
+      codes.push(0xFFFD);
+      i--;  // The byte starts the next sequence.
+      continue;
+    }
+    lower = 0x80;
+    upper = 0xBF;
+    point = (point << 6) | (byte & 0x3F);
+    if (++seen === needed) {
+      if (point > 0xFFFF) {
+        point -= 0x10000;
+        codes.push(0xD800 | (point >> 10), 0xDC00 | (point & 0x3FF));
+      } else {
+        codes.push(point);
+      }
+      point = needed = seen = 0;
+    }
+  }
+  if (needed !== 0) {
+    codes.push(0xFFFD);
+  }
+  return codes;
+}
+
+function formatEncoding(encoding, nothrow) {
+  if (encoding == null) {
+    return null;
+  }
+  var name = (typeof encoding === 'string' ? encoding.toLowerCase().replace(/[-_]/g, '') : '');
+  name = ({utf16: 'utf16le', ucs2: 'utf16le', binary: 'latin1', iso88591: 'latin1'})[name] || name;
+  if (['utf8', 'utf16le', 'utf16be', 'latin1', 'ascii'].indexOf(name) < 0) {
+    if (nothrow) {
+      return undefined;
+    }
+    throw new Error(message('The encoding "' + encoding + '" is not supported.'));
+  }
+  return name;
+}
+
+function formatString(str) {
+  if (typeof str !== 'string') {
+    throw new Error(message('The first argument of matter() must be of type String or Buffer.'));
+  }
+  if (str.charCodeAt(0) === 0xFEFF) {
+    // Remove the optional byte-order mark.
+    return str.substr(1);
+  }
+  return str;
+}
+
+function formatDelimiters(delims, nothrow) {
+  if (!Array.isArray(delims)) {
+    delims = [delims];
+  } else {
+    delims = delims.slice(0);  // shallow-clone
+  }
+  delims[0] = delims[0] != null ?
+      delims[0] : (delims[1] != null ? delims[1] : '---');
+  delims[1] = delims[1] != null ?
+      delims[1] : (delims[0] != null ? delims[0] : '---');
+  if ((typeof delims[0] !== 'string') || (typeof delims[1] !== 'string')) {
+    if (!nothrow) {
+      throw new Error(message('The option "delims" is invalid.'));
+    }
+    return null;
+  }
+  return delims;
+}
+
+function isProfile(value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @param {Object?} comment The comment syntax {open, close, prefix} of a profile.
+ * @return {(Object|Boolean)?} The formatted comment syntax, null if not provided, or false if invalid.
+ */
+function formatComment(comment) {
+  if (comment == null) {
+    return null;
+  }
+  var isToken = function (value) {
+    return value == null || (typeof value === 'string' && value !== '');
+  };
+  if (typeof comment !== 'object' || !isToken(comment.open) || !isToken(comment.close) ||
+      !isToken(comment.prefix) || (comment.open == null) !== (comment.close == null) ||
+      (comment.open == null && comment.prefix == null)) {
+    return false;
+  }
+  return {
+    open: comment.open != null ? comment.open : null,
+    close: comment.close != null ? comment.close : null,
+    prefix: comment.prefix != null ? comment.prefix : null
+  };
+}
+
+/**
+ * @param {(String|Array)?} delims Delimiter(s) or a list of profiles {delims, lang, comment}.
+ * @param {Boolean?} nothrow
+ * @return {Array.<Object>?} [{delims: [String, String], lang: String?, comment: Object?}]
+ */
+function formatProfiles(delims, nothrow) {
+  var list = (Array.isArray(delims) && delims.some(isProfile)) ? delims : [{delims: delims}];
+  var profiles = [];
+  for (var i = 0; i < list.length; i++) {
+    var pair = isProfile(list[i]) ? formatDelimiters(list[i].delims, nothrow) : null;
+    var lang = pair ? list[i].lang : null;
+    var comment = pair ? formatComment(list[i].comment) : null;
+    if (!pair || (lang != null && typeof lang !== 'string') || comment === false) {
+      if (!nothrow) {
+        throw new Error(message('The option "delims" is invalid.'));
+      }
+      return null;
+    }
+    var profile = {delims: pair, lang: (lang != null ? lang.trim().toLowerCase() : null)};
+    if (comment) {
+      profile.comment = comment;
+    }
+    profiles.push(profile);
+  }
+  return profiles;
+}
+
+function formatOptions(opts) {
+  if (opts == null) {
+    return {
+      loose: false,
+      lang: 'yaml',
+      delims: ['---', '---'],
+      profiles: [{delims: ['---', '---'], lang: null}],
+      parsers: null,
+      serializers: null,
+      strict: false,
+      braces: false,
+      schema: null,
+      eol: '\n',
+      bom: false,
+      multiple: false,
+      merge: 'deep',
+      registry: matter,
+      languageOptions: null,
+      root: null,
+      defaults: null,
+      interpolate: false,
+      context: null,
+      encoding: null,
+      cache: null,
+      excerpt: null,
+      stripSeparator: false
+    };
+  } else {  // shallow-clone
+    opts = {
+      loose: opts.loose,
+      lang: opts.lang,
+      delims: opts.delims,
+      parsers: opts.parsers,
+      serializers: opts.serializers,
+      strict: opts.strict,
+      braces: opts.braces,
+      schema: opts.schema,
+      eol: opts.eol,
+      bom: opts.bom,
+      multiple: opts.multiple,
+      merge: opts.merge,
+      registry: opts.registry,
+      languageOptions: opts.languageOptions,
+      root: opts.root,
+      defaults: opts.defaults,
+      interpolate: opts.interpolate,
+      context: opts.context,
+      encoding: opts.encoding,
+      cache: opts.cache,
+      excerpt: opts.excerpt,
+      stripSeparator: opts.stripSeparator
+    };
+  }
+  opts.lang = (opts.lang != null) ? opts.lang : 'yaml';
+  if (typeof opts.lang !== 'string') {
+    throw new Error(message('The option "lang" must be a string.'));
+  }
+  opts.registry = (opts.registry != null ? opts.registry : matter);
+  opts.lang = resolveLanguage(opts.lang.trim().toLowerCase(), opts);
+  opts.profiles = formatProfiles(opts.delims);
+  opts.delims = (opts.profiles.length === 1 && opts.profiles[0].lang === null &&
+                 !opts.profiles[0].comment) ?
+                opts.profiles[0].delims : opts.profiles;
+  opts.parsers = (opts.parsers != null ? opts.parsers : null);
+  opts.serializers = (opts.serializers != null ? opts.serializers : null);
+  opts.loose = Boolean(opts.loose);
+  opts.strict = Boolean(opts.strict);
+  opts.braces = Boolean(opts.braces);
+  opts.schema = (opts.schema != null ? opts.schema : null);
+  if (opts.schema !== null && typeof opts.schema !== 'object') {
+    throw new Error(message('The option "schema" must be an object.'));
+  }
+  opts.eol = (opts.eol != null ? opts.eol : '\n');
+  if (opts.eol !== '\n' && opts.eol !== '\r\n') {
+    throw new Error(message('The option "eol" must be "\\n" or "\\r\\n".'));
+  }
+  opts.bom = Boolean(opts.bom);
+  opts.encoding = formatEncoding(opts.encoding);
+  opts.multiple = Boolean(opts.multiple);
+  opts.merge = (opts.merge != null ? opts.merge : 'deep');
+  if (opts.merge !== 'deep' && opts.merge !== 'shallow' && typeof opts.merge !== 'function') {
+    throw new Error(message('The option "merge" must be "deep", "shallow" or a function.'));
+  }
+  opts.languageOptions = (opts.languageOptions != null ? opts.languageOptions : null);
+  if (opts.languageOptions !== null && typeof opts.languageOptions !== 'object') {
+    throw new Error(message('The option "languageOptions" must be an object.'));
+  }
+  opts.root = (opts.root != null ? opts.root : null);
+  if (opts.root !== null && typeof opts.root !== 'string') {
+    throw new Error(message('The option "root" must be a string.'));
+  }
+  opts.defaults = (opts.defaults != null ? [].concat(opts.defaults) : null);
+  if (opts.defaults !== null && !opts.defaults.every(function (name) {
+    return typeof name === 'string' && name !== '';
+  })) {
+    throw new Error(message('The option "defaults" must be a file name or a list of file names.'));
+  }
+  opts.interpolate = Boolean(opts.interpolate);
+  opts.context = (opts.context != null ? opts.context : null);
+  if (opts.context !== null && typeof opts.context !== 'object') {
+    throw new Error(message('The option "context" must be an object.'));
+  }
+  opts.cache = (opts.cache != null ? opts.cache : null);
+  if (opts.cache !== null && typeof opts.cache !== 'object') {
+    throw new Error(message('The option "cache" must be an object.'));
+  }
+  opts.excerpt = (opts.excerpt != null && opts.excerpt !== false ? opts.excerpt : null);
+  if (opts.excerpt !== null && opts.excerpt !== true && typeof opts.excerpt !== 'function' &&
+      (typeof opts.excerpt !== 'string' || opts.excerpt === '')) {
+    throw new Error(message('The option "excerpt" must be true, a separator or a function.'));
+  }
+  opts.stripSeparator = Boolean(opts.stripSeparator);
+  return opts;
+}
+
+
+function message(msg) {
+  return '[matter]: ' + msg;
+}
+
+
+/**
+ * Validate the data against the schema in opts.schema and collect the errors
+ * in result.errors. Missing front matter is taken as an empty object.
+ *
+ * @param {Mixed} data
+ * @param {Object} result
+ * @param {Object} opts The formatted options.
+ * @param {String?} delimiter The opening delimiter.
+ * @return {Mixed} The data with defaults and coerced values.
+ * @throws {MatterError} If opts.strict is true and the data is invalid.
+ */
+function checkSchema(data, result, opts, delimiter) {
+  var errors = result.errors;
+  data = applySchema(data != null ? data : {}, opts.schema, '', errors);
+  if (errors.length > 0 && opts.strict) {
+    var reason = errors.map(function (error) {
+      return (error.path ? error.path + ': ' : '') + error.message;
+    }).join('; ');
+    throw new MatterError('Invalid front matter: ' + reason, {
+      lang: result.lang,
+      delimiter: delimiter,
+      reason: reason,
+      line: null,
+      column: null,
+      errors: errors
+    });
+  }
+  return data;
+}
+
+/**
+ * Supported keywords: type (plus "date"), properties, required,
+ * additionalProperties (false only), items, default, enum, pattern,
+ * minLength, maxLength, minimum, maximum, minItems and maxItems.
+ *
+ * @param {Mixed} value
+ * @param {Object} schema
+ * @param {String} path The key path of the value, e.g. "tags.0".
+ * @param {Array} errors
+ * @return {Mixed} The value with defaults and coerced values.
+ */
+function applySchema(value, schema, path, errors) {
+  var fail = function (msg) {
+    errors.push({path: path, message: msg});
+    return value;
+  };
+  if (value === undefined && schema['default'] !== undefined) {
+    value = JSON.parse(JSON.stringify(schema['default']));
+  }
+  if (value === undefined) {
+    return value;
+  }
+  if (schema.type != null) {
+    var types = [].concat(schema.type);
+    var coerced = coerceValue(value, types);
+    if (coerced === undefined) {
+      return fail('must be of type ' + types.join(' or '));
+    }
+    value = coerced;
+  }
+  var type = getType(value);
+  if (schema['enum'] && !schema['enum'].some(function (item) {
+    return JSON.stringify(item) === JSON.stringify(value);
+  })) {
+    return fail('must be one of ' + JSON.stringify(schema['enum']));
+  }
+  if (type === 'string') {
+    if (schema.pattern != null && !new RegExp(schema.pattern).test(value)) {
+      return fail('must match the pattern ' + schema.pattern);
+    }
+    if (schema.minLength != null && value.length < schema.minLength) {
+      return fail('must have at least ' + schema.minLength + ' characters');
+    }
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      return fail('must have at most ' + schema.maxLength + ' characters');
+    }
+  } else if (type === 'number' || type === 'integer') {
+    if (schema.minimum != null && value < schema.minimum) {
+      return fail('must be >= ' + schema.minimum);
+    }
+    if (schema.maximum != null && value > schema.maximum) {
+      return fail('must be <= ' + schema.maximum);
+    }
+  } else if (type === 'array') {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      return fail('must have at least ' + schema.minItems + ' items');
+    }
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      return fail('must have at most ' + schema.maxItems + ' items');
+    }
+    if (schema.items) {
+      value = value.map(function (item, i) {
+        return applySchema(item, schema.items, joinPath(path, i), errors);
+      });
+    }
+  } else if (type === 'object') {
+    var properties = schema.properties || {};
+    var object = {};
+    Object.keys(value).forEach(function (key) {
+      if (properties.hasOwnProperty(key)) {
+        object[key] = applySchema(value[key], properties[key], joinPath(path, key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({path: joinPath(path, key), message: 'is not allowed'});
+      } else {
+        object[key] = value[key];
+      }
+    });
+    Object.keys(properties).forEach(function (key) {
+      if (!value.hasOwnProperty(key)) {
+        var item = applySchema(undefined, properties[key], joinPath(path, key), errors);
+        if (item !== undefined) {
+          object[key] = item;
+        }
+      }
+    });
+    (schema.required || []).forEach(function (key) {
+      if (object[key] === undefined) {
+        errors.push({path: joinPath(path, key), message: 'is required'});
+      }
+    });
+    value = object;
+  }
+  return value;
+}
+
+function joinPath(path, key) {
+  return path ? path + '.' + key : String(key);
+}
+
+function getType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (value instanceof Date) {
+    return 'date';
+  }
+  if (typeof value === 'number' && value % 1 === 0) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+/**
+ * @param {Mixed} value
+ * @param {Array.<String>} types
+ * @return {Mixed} The value of one of the types, or undefined if impossible.
+ */
+function coerceValue(value, types) {
+  var type = getType(value);
+  if (types.indexOf(type) >= 0 || (type === 'integer' && types.indexOf('number') >= 0)) {
+    return value;
+  }
+  for (var i = 0; i < types.length; i++) {
+    switch (types[i]) {
+      case 'string':
+        if (type === 'number' || type === 'integer' || type === 'boolean') {
+          return String(value);
+        }
+        if (type === 'date' && !isNaN(value.getTime())) {
+          return value.toISOString();
+        }
+        break;
+      case 'number':
+      case 'integer':
+        if (type === 'string' && /^\s*[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?\s*$/i.test(value) &&
+            (types[i] === 'number' || Number(value) % 1 === 0)) {
+          return Number(value);
+        }
+        break;
+      case 'boolean':
+        if (value === 'true' || value === 'false') {
+          return value === 'true';
+        }
+        break;
+      case 'date':
+        if (type === 'string' || type === 'number' || type === 'integer') {
+          var date = new Date(value);
+          if (!isNaN(date.getTime())) {
+            return date;
+          }
+        }
+        break;
+      case 'array':
+        if (type !== 'null') {
+          return [value];
+        }
+        break;
+    }
+  }
+  return undefined;
+}
+
+
+/**
+ * The error thrown when the front matter cannot be parsed in strict mode.
+ *
+ * @param {String} msg
+ * @param {Object} props
+ *        @param {String} props.lang The language of the front matter.
+ *        @param {String} props.delimiter The opening delimiter.
+ *        @param {String} props.reason The message from the parser.
+ *        @param {Number?} props.line The line number (1-based) in the original string.
+ *        @param {Number?} props.column The column number (1-based) in the original string.
+ *        @param {Error?} props.cause The error thrown by the parser.
+ *        @param {Array.<Object>?} props.errors The errors from opts.schema.
+ */
+function MatterError(msg, props) {
+  Error.call(this);
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, MatterError);
+  }
+  this.name = 'MatterError';
+  this.message = message(msg);
+  for (var key in props) {
+    this[key] = props[key];
+  }
+}
+MatterError.prototype = Object.create(Error.prototype);
+MatterError.prototype.constructor = MatterError;
+
+/**
+ * @param {Mixed} err The error thrown by the parser.
+ * @param {String} data The text passed to the parser.
+ * @param {Object} start The location {line, column} of the text in the original string.
+ * @param {String} lang
+ * @param {String} header The opening delimiter.
+ * @param {Array.<Number>?} shifts The widths of the comment syntax stripped from each line of the text.
+ * @return {MatterError}
+ */
+function createParseError(err, data, start, lang, header, shifts) {
+  var reason = ((err != null && err.reason) || (err != null && err.message) || String(err))
+      .replace(/^\[matter\]: /, '');
+  var position = null;
+  if (err != null && err.mark != null && typeof err.mark.position === 'number') {
+    position = err.mark.position;  // js-yaml
+  } else if (err != null && typeof err.offset === 'number') {
+    position = err.offset;  // toml-j0.4
+  } else if (err != null && typeof err.line === 'number') {
+    position = getOffset(data, err.line, typeof err.column === 'number' ? err.column : 1);
+  }
+  var line = null, column = null;
+  if (position !== null) {
+    // Only CR before LF was removed from the text, which keeps the columns.
+    var loc = getLocation(data, Math.min(Math.max(position, 0), data.length));
+    line = start.line + loc.line - 1;
+    column = (loc.line === 1 ? start.column - 1 : (shifts ? shifts[loc.line-1] || 0 : 0)) + loc.column;
+  }
+  return new MatterError(
+      'Failed to parse the front matter in ' + lang +
+      (line !== null ? ' at line ' + line + ', column ' + column : '') +
+      ': ' + reason, {
+        lang: lang,
+        delimiter: header,
+        reason: reason,
+        line: line,
+        column: column,
+        cause: err
+      });
+}
+
+// Whether the parser failed for the front matter, not for a bug of its own.
+function isSyntaxError(err) {
+  return err != null && (err instanceof SyntaxError || err.name === 'SyntaxError' ||
+                         err.name === 'YAMLException');
+}
+
+// Convert 1-based line and column numbers to an offset.
+function getOffset(str, line, column) {
+  var offset = 0;
+  while (--line > 0) {
+    var next = str.indexOf('\n', offset);
+    if (next < 0) {
+      return str.length;
+    }
+    offset = next + 1;
+  }
+  return offset + column - 1;
+}
+
+// Convert an offset to 1-based line and column numbers.
+function getLocation(str, offset) {
+  var lines = str.substr(0, offset).split('\n');
+  return {line: lines.length, column: lines[lines.length-1].length + 1};
+}
+
+matter.MatterError = MatterError;
+
+
+/**
+ * Collect the results of matter.readFile() to query them.
+ *
+ * @param {Array.<Object>?} items The results with the property "path".
+ * @param {Object?} opts The options of matter.Collection.
+ * @return {Collection}
+ */
+var Collection = require('./collection');
+matter.Collection = Collection;
+matter.collection = function (items, opts) {
+  return new Collection(items, opts);
+};
+
+
+/**
+ * The modules used by the builtin languages: "js-yaml" as matter.modules.yaml
+ * and "toml-j0.4" as matter.modules.toml. The core does not require them, so
+ * they have to be provided before those languages are used.
+ */
+matter.modules = {yaml: null, toml: null};
+
+function getModule(name) {
+  var module = matter.modules[name];
+  if (module == null) {
+    var err = new Error(message('The module for ' + name + ' is not provided. ' +
+                                'Set matter.modules.' + name + ' first.'));
+    err.code = 'MODULE_NOT_FOUND';
+    throw err;
+  }
+  return module;
+}
+
+/**
+ * Common delimiter profiles for options.delims.
+ */
+matter.profiles = [
+  {delims: '---', lang: 'yaml'},
+  {delims: '+++', lang: 'toml'},
+  {delims: ';;;', lang: 'json'}
+];
+
+
+/**
+ * Ready-made delimiter profiles for front matter in the leading comment of
+ * source files.
+ */
+matter.comments = [
+  {delims: '---', comment: {open: '/*', close: '*/', prefix: '*'}},
+  {delims: '---', comment: {open: '<!--', close: '-->'}},
+  {delims: '---', comment: {prefix: '#'}},
+  {delims: '---', comment: {prefix: '//'}}
+];
+
+matter.parsers = {
+  /**
+   * @param {Object} opts
+   *        @param {Boolean} opts.loose Whether to return null instead of throwing errors.
+   *        @param {Object?} opts.schema The js-yaml schema. Default: DEFAULT_SAFE_SCHEMA
+   *        @param {Array.<Object>?} opts.types Custom types added to the schema.
+   * @return {Mixed}
+   */
+  yaml: function (str, opts) {
+    opts = (opts == null ? {} : opts);
+    var parser = getModule('yaml');
+    try {
+      var data = parser.safeLoad(str, {schema: getYamlSchema(parser, opts)});
+      return data !== undefined ? data : {};
+    } catch (err) {
+      if (opts.loose) {
+        return null;
+      }
+      throw err;
+    }
+  },
+  /**
+   * @param {Object} opts
+   *        @param {Boolean} opts.loose Whether to return null instead of throwing errors.
+   * @return {Mixed}
+   */
+  json: function (str, opts) {
+    opts = (opts == null ? {} : opts);
+    try {
+      return JSON.parse(str);
+    } catch (err) {
+      if (opts.loose) {
+        return null;
+      }
+      err.offset = locateJsonError(str);
+      throw err;
+    }
+  },
+  /**
+   * @param {Object} opts
+   *        @param {Boolean} opts.loose Whether to return null instead of throwing errors.
+   * @return {Mixed}
+   */
+  toml: function (str, opts) {
+    opts = (opts == null ? {} : opts);
+    var parser = getModule('toml');
+    try {
+      return parser.parse(str);
+    } catch (err) {
+      if (opts.loose) {
+        return null;
+      }
+      throw err;
+    }
+  }
+};
+
+matter.serializers = {
+  /**
+   * @param {Mixed} data
+   * @param {Object} opts
+   *        @param {Boolean} opts.loose Unused.
+   *        @param {Object?} opts.schema The js-yaml schema. Default: DEFAULT_SAFE_SCHEMA
+   *        @param {Array.<Object>?} opts.types Custom types added to the schema.
+   * @return {String}
+   */
+  yaml: function (data, opts) {
+    opts = (opts == null ? {} : opts);
+    var parser = getModule('yaml');
+    return parser.safeDump(data, {schema: getYamlSchema(parser, opts)});
+  },
+  /**
+   * @param {Mixed} data
+   * @param {Object} opts
+   *        @param {Boolean} opts.loose Unused.
+   * @return {String}
+   */
+  json: function (data, opts) {
+    return JSON.stringify(data, null, 2);
+  },
+  /**
+   * @param {Object} data Only tables can be represented in TOML.
+   * @param {Object} opts
+   *        @param {Boolean} opts.loose Whether to drop values that TOML cannot represent.
+   * @return {String}
+   */
+  toml: function (data, opts) {
+    opts = (opts == null ? {} : opts);
+    if (!isTomlTable(data)) {
+      throw new Error(message('Only objects can be serialized into TOML.'));
+    }
+    var lines = [];
+    stringifyTomlTable(data, [], lines, Boolean(opts.loose));
+    while (lines.length > 0 && lines[0] === '') {
+      lines.shift();
+    }
+    return lines.length > 0 ? lines.join('\n') + '\n' : '';
+  }
+};
+
+/**
+ * @param {Object} parser js-yaml
+ * @param {Object} opts The options of the YAML parser or serializer.
+ * @return {Object} The schema with the custom types.
+ */
+function getYamlSchema(parser, opts) {
+  var schema = opts.schema != null ? opts.schema : parser.DEFAULT_SAFE_SCHEMA;
+  if (opts.types == null || opts.types.length === 0) {
+    return schema;
+  }
+  var types = [].concat(opts.types).map(function (type) {
+    if (type instanceof parser.Type) {
+      return type;
+    }
+    // A plain definition {tag, kind, resolve, construct, ...}
+    var options = {};
+    Object.keys(type).forEach(function (key) {
+      if (key !== 'tag') {
+        options[key] = type[key];
+      }
+    });
+    return new parser.Type(type.tag, options);
+  });
+  return parser.Schema.create(schema, types);
+}
+
+/**
+ * Other names of the languages, e.g. "---yml".
+ */
+matter.aliases = {
+  yml: 'yaml',
+  tml: 'toml'
+};
+
+/**
+ * The options of the languages passed to their parsers and serializers.
+ */
+matter.languageOptions = {};
+
+// The languages for matter.create(), whatever changes to matter.parsers.
+var builtins = {};
+['parsers', 'serializers', 'aliases'].forEach(function (key) {
+  builtins[key] = {};
+  Object.keys(matter[key]).forEach(function (lang) {
+    builtins[key][lang] = matter[key][lang];
+  });
+});
+
+/**
+ * Register a language or change its settings.
+ *
+ * @param {String} name The name of the language.
+ * @param {Object} plugin
+ *        @param {Function?} plugin.parse The parser function (text, options).
+ *        @param {Function?} plugin.stringify The serializer function (data, options).
+ *        @param {(String|Array.<String>)?} plugin.aliases Other names of the language.
+ *        @param {Object?} plugin.options The options passed to the parser and the serializer.
+ * @return {Function} matter
+ */
+matter.use = function (name, plugin) {
+  return register(matter, name, plugin);
+};
+
+/**
+ * Create an instance of matter() with its own languages and default options.
+ *
+ * @param {Object?} defaults The default options for all methods.
+ * @return {Function} The new matter() with the same methods.
+ */
+matter.create = function (defaults) {
+  defaults = (defaults != null ? defaults : {});
+  if (typeof defaults !== 'object') {
+    throw new Error(message('The defaults of matter.create() must be an object.'));
+  }
+  var instance = function (str, opts) {
+    return matter(str, withDefaults(opts));
+  };
+  var withDefaults = function (opts) {
+    var result = {};
+    [defaults, opts].forEach(function (source) {
+      if (source != null) {
+        Object.keys(source).forEach(function (key) {
+          if (source[key] !== undefined) {
+            result[key] = source[key];
+          }
+        });
+      }
+    });
+    result.registry = instance;
+    return result;
+  };
+  // The position of the options in the arguments of each method. The file
+  // methods are there if files.js is loaded.
+  var methods = {
+    test: 1, readFileSync: 1, readFile: 1, read: 1, readDir: 1, watch: 1, stream: 1,
+    readHead: 1, stringify: 2, update: 2, updateFileSync: 2
+  };
+  Object.keys(methods).filter(function (name) {
+    return typeof matter[name] === 'function';
+  }).forEach(function (name) {
+    var index = methods[name];
+    instance[name] = function () {
+      var args = Array.prototype.slice.call(arguments);
+      if (typeof args[index] === 'function') {
+        args.splice(index, 0, null);  // The callback takes the place of the options.
+      }
+      args[index] = withDefaults(args[index]);
+      return matter[name].apply(matter, args);
+    };
+  });
+  ['parsers', 'serializers', 'aliases'].forEach(function (key) {
+    instance[key] = {};
+    Object.keys(builtins[key]).forEach(function (lang) {
+      instance[key][lang] = builtins[key][lang];
+    });
+  });
+  instance.languageOptions = {};
+  instance.use = function (name, plugin) {
+    return register(instance, name, plugin);
+  };
+  // Another instance starts with the builtin languages again, and with the
+  // default options of this one.
+  instance.create = function (options) {
+    if (options != null && typeof options !== 'object') {
+      throw new Error(message('The defaults of matter.create() must be an object.'));
+    }
+    var result = withDefaults(options);
+    delete result.registry;
+    return matter.create(result);
+  };
+  instance.modules = matter.modules;
+  instance.profiles = matter.profiles;
+  instance.comments = matter.comments;
+  instance.MatterError = MatterError;
+  instance.Collection = Collection;
+  instance.collection = matter.collection;
+  if (matter.Cache) {
+    instance.Cache = matter.Cache;
+    instance.cache = matter.cache;
+  }
+  return instance;
+};
+
+function register(target, name, plugin) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new Error(message('The name of the language must be a non-empty string.'));
+  }
+  plugin = (plugin != null ? plugin : {});
+  var aliases = (plugin.aliases != null ? [].concat(plugin.aliases) : []);
+  if (typeof plugin !== 'object' ||
+      (plugin.parse != null && typeof plugin.parse !== 'function') ||
+      (plugin.stringify != null && typeof plugin.stringify !== 'function') ||
+      (plugin.options != null && typeof plugin.options !== 'object') ||
+      aliases.some(function (alias) { return typeof alias !== 'string'; })) {
+    throw new Error(message('The plugin for the language "' + name + '" is invalid.'));
+  }
+  name = name.trim().toLowerCase();
+  // A language is not an alias of another one.
+  delete target.aliases[name];
+  if (plugin.parse != null) {
+    target.parsers[name] = plugin.parse;
+  }
+  if (plugin.stringify != null) {
+    target.serializers[name] = plugin.stringify;
+  }
+  aliases.forEach(function (alias) {
+    target.aliases[alias.trim().toLowerCase()] = name;
+  });
+  if (plugin.options != null) {
+    target.languageOptions[name] = plugin.options;
+  }
+  return target;
+}
+
+
+/**
+ * Find the offset of the first syntax error in the JSON text, since the
+ * messages from JSON.parse do not always tell it.
+ *
+ * @param {String} str
+ * @return {Number?} The offset, or null if no error is found.
+ */
+function locateJsonError(str) {
+  var i = 0;
+  var fail = function () {
+    throw i;
+  };
+  var space = function () {
+    while (i < str.length && /[ \t\r\n]/.test(str[i])) {
+      i++;
+    }
+  };
+  var literal = function (re) {
+    var match = re.exec(str.substr(i));
+    if (!match) {
+      fail();
+    }
+    i += match[0].length;
+  };
+  var value = function () {
+    space();
+    var c = str[i];
+    if (c === '{') {
+      i++;
+      space();
+      if (str[i] === '}') {
+        i++;
+        return;
+      }
+      for (;;) {
+        space();
+        if (str[i] !== '"') {
+          fail();
+        }
+        literal(/^"(?:[^"\\\u0000-\u001F]|\\["\\\/bfnrt]|\\u[0-9A-Fa-f]{4})*"/);
+        space();
+        if (str[i] !== ':') {
+          fail();
+        }
+        i++;
+        value();
+        space();
+        if (str[i] === '}') {
+          i++;
+          return;
+        }
+        if (str[i] !== ',') {
+          fail();
+        }
+        i++;
+      }
+    } else if (c === '[') {
+      i++;
+      space();
+      if (str[i] === ']') {
+        i++;
+        return;
+      }
+      for (;;) {
+        value();
+        space();
+        if (str[i] === ']') {
+          i++;
+          return;
+        }
+        if (str[i] !== ',') {
+          fail();
+        }
+        i++;
+      }
+    } else if (c === '"') {
+      literal(/^"(?:[^"\\\u0000-\u001F]|\\["\\\/bfnrt]|\\u[0-9A-Fa-f]{4})*"/);
+    } else {
+      literal(/^(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)/);
+    }
+  };
+  try {
+    value();
+    space();
+    return i < str.length ? i : null;
+  } catch (offset) {
+    return offset;
+  }
+}
+
+function isTomlTable(value) {
+  return value != null && typeof value === 'object' &&
+         !Array.isArray(value) && !(value instanceof Date);
+}
+
+function isTomlTableArray(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(isTomlTable);
+}
+
+function stringifyTomlKey(key) {
+  return /^[A-Za-z0-9_-]+$/.test(key) ? key : JSON.stringify(key);
+}
+
+function stringifyTomlValue(value, loose) {
+  switch (typeof value) {
+    case 'string':
+      // JSON escape sequences are a subset of TOML ones.
+      return JSON.stringify(value);
+    case 'boolean':
+      return String(value);
+    case 'number':
+      if (!isFinite(value)) {
+        throw new Error(message('TOML cannot represent the number: ' + value));
+      }
+      var text = String(value);
+      if (value % 1 === 0 && Math.abs(value) <= 9007199254740991) {
+        return text;
+      }
+      return /[.e]/i.test(text) ? text : text + '.0';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return '[' + value.filter(function (item) {
+      return !loose || isTomlValue(item);
+    }).map(function (item) {
+      return stringifyTomlValue(item, loose);
+    }).join(', ') + ']';
+  }
+  if (isTomlTable(value)) {
+    return '{' + Object.keys(value).filter(function (key) {
+      return value[key] != null;
+    }).map(function (key) {
+      return stringifyTomlKey(key) + ' = ' + stringifyTomlValue(value[key], loose);
+    }).join(', ') + '}';
+  }
+  throw new Error(message('TOML cannot represent the value: ' + value));
+}
+
+function isTomlValue(value) {
+  return value != null && typeof value !== 'function' &&
+         (typeof value !== 'number' || isFinite(value));
+}
+
+function stringifyTomlTable(table, path, lines, loose) {
+  var tables = [];
+  var tableArrays = [];
+  Object.keys(table).forEach(function (key) {
+    var value = table[key];
+    if (value == null || (loose && !isTomlValue(value))) {
+      return;  // TOML has no null.
+    }
+    if (isTomlTable(value)) {
+      tables.push(key);
+    } else if (isTomlTableArray(value)) {
+      tableArrays.push(key);
+    } else {
+      lines.push(stringifyTomlKey(key) + ' = ' + stringifyTomlValue(value, loose));
+    }
+  });
+  tables.forEach(function (key) {
+    var subpath = path.concat(stringifyTomlKey(key));
+    lines.push('', '[' + subpath.join('.') + ']');
+    stringifyTomlTable(table[key], subpath, lines, loose);
+  });
+  tableArrays.forEach(function (key) {
+    var subpath = path.concat(stringifyTomlKey(key));
+    table[key].forEach(function (item) {
+      lines.push('', '[[' + subpath.join('.') + ']]');
+      stringifyTomlTable(item, subpath, lines, loose);
+    });
+  });
+}
+
+// The internals for files.js, which are not a public API.
+Object.defineProperty(matter, '_internals', {
+  value: {
+    extract: extract,
+    extractExcerpt: extractExcerpt,
+    formatOptions: formatOptions,
+    formatString: formatString,
+    decodeInput: decodeInput,
+    detectEol: detectEol,
+    scanBraces: scanBraces,
+    scanProfiles: scanProfiles,
+    scanComment: scanComment,
+    scanNext: scanNext,
+    locateRange: locateRange,
+    resolveLanguage: resolveLanguage,
+    getLanguageOptions: getLanguageOptions,
+    isPlainObject: isPlainObject,
+    isEqual: isEqual,
+    isThenable: isThenable,
+    joinPath: joinPath,
+    message: message
+  }
+});
+
+module.exports = matter;
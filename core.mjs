@@ -0,0 +1,4 @@
+// The ES module entry of matter() without the file APIs. See core.js.
+import matter from './core.js';
+
+export default matter;
@@ -0,0 +1,1534 @@
+'use strict';
+
+
+/**
+ * The file APIs of matter(), which need the modules of node like fs. They are
+ * added to the matter() of core.js.
+ */
+var matter = require('./core');
+var MatterError = matter.MatterError;
+var internals = matter._internals;
+var extract = internals.extract;
+var extractExcerpt = internals.extractExcerpt;
+var formatOptions = internals.formatOptions;
+var formatString = internals.formatString;
+var decodeInput = internals.decodeInput;
+var detectEol = internals.detectEol;
+var scanBraces = internals.scanBraces;
+var scanProfiles = internals.scanProfiles;
+var scanComment = internals.scanComment;
+var scanNext = internals.scanNext;
+var locateRange = internals.locateRange;
+var resolveLanguage = internals.resolveLanguage;
+var getLanguageOptions = internals.getLanguageOptions;
+var isPlainObject = internals.isPlainObject;
+var isEqual = internals.isEqual;
+var isThenable = internals.isThenable;
+var joinPath = internals.joinPath;
+var message = internals.message;
+var Cache = require('./cache');
+
+// The maximum number of the entries of a directory read at the same time by
+// matter.watch().
+var WALK_CONCURRENCY = 8;
+
+// The paths of the defaults files and the included files read for the file
+// being parsed with a cache, i.e. lookup.dependencies from Cache#_lookup().
+var dependencies = null;
+
+
+/**
+ * Read and parse the file synchronously.
+ *
+ * @param {String} path The path to the file.
+ * @param {Object?} opts Options to parse to matter().
+ *        @param {String?} opts.root The directory that "!include" in YAML is restricted to.
+ *        @param {(String|Array.<String>)?} opts.defaults The names of the defaults files.
+ *        @param {Cache?} opts.cache The cache from matter.cache() for the results. Default: null
+ * @return {Object} result The result from matter().
+ * @throws {MatterError} If opts.strict is true and the front matter is invalid.
+ */
+matter.readFileSync = function (path, opts) {
+  opts = formatOptions(opts);
+  checkCache(opts);
+  var fs = require('fs');
+  var lookup = null;
+  if (opts.cache !== null) {
+    lookup = opts.cache._lookup(fs.realpathSync(path), opts, null);
+    if (lookup.result !== null) {
+      return lookup.result;
+    }
+  }
+  var content = (lookup !== null && lookup.content != null) ? lookup.content : fs.readFileSync(path);
+  var realpath = fs.realpathSync(path);
+  var result;
+  try {
+    result = extractFile(content, opts, realpath, false, lookup);
+  } catch (err) {
+    if (err instanceof MatterError) {
+      err.path = realpath;
+    }
+    throw err;
+  }
+  if (lookup !== null) {
+    opts.cache._store(lookup, result);
+  }
+  return result;
+};
+
+
+/**
+ * Read and parse the file asynchronously.
+ *
+ * Parsers are allowed to return promises.
+ *
+ * @param {String} path The path to the file.
+ * @param {Object?} opts Options to parse to matter().
+ * @param {Function?} callback function(error, result). The error may be a MatterError if opts.strict is true.
+ * @return {Promise?} The promise of the result if no callback is provided.
+ */
+matter.readFile = function (path, opts, callback) {
+  // Options are optional, and callback function can take the place of it.
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = null
+  }
+  if (callback == null) {
+    return matter.read(path, opts);
+  }
+  if (typeof callback !== 'function') {
+    throw new Error(message('The callback of matter.readFile must be a function.'));
+  }
+  opts = formatOptions(opts);
+  checkCache(opts);
+  var fs = require('fs');
+  var lookup = null;
+  if (opts.cache !== null) {
+    try {
+      lookup = opts.cache._lookup(fs.realpathSync(path), opts, null);
+    } catch (err) {
+      process.nextTick(function () {
+        callback(err, null);
+      });
+      return;
+    }
+    if (lookup.result !== null) {
+      process.nextTick(function () {
+        callback(null, lookup.result);
+      });
+      return;
+    }
+    if (lookup.content != null) {
+      process.nextTick(function () {
+        parseFile(path, lookup.content, opts, callback, lookup);
+      });
+      return;
+    }
+  }
+  fs.readFile(path, function (err, content) {
+    if (err) {
+      callback(err, null);
+      return;
+    }
+    parseFile(path, content, opts, callback, lookup);
+  });
+};
+
+
+/**
+ * Read and parse the file asynchronously.
+ *
+ * Parsers are allowed to return promises.
+ *
+ * @param {String} path The path to the file.
+ * @param {Object?} opts Options to parse to matter().
+ * @return {Promise} The promise of the result from matter().
+ */
+matter.read = function (path, opts) {
+  return toPromise(matter.readFile, [path, opts]);
+};
+
+
+/**
+ * Read and parse all files in the directory recursively.
+ *
+ * Errors from single files or entries like broken symbolic links do not abort
+ * the whole scan.
+ *
+ * @param {String} dir The path to the directory.
+ * @param {Object?} opts Options to parse to matter().
+ *        @param {(String|RegExp|Function|Array)?} opts.include Patterns that the file paths must match. Default: all files
+ *        @param {(String|RegExp|Function|Array)?} opts.exclude Patterns of the file and directory paths to skip. Default: none
+ *        @param {Number?} opts.concurrency The maximum number of files read, and of entries scanned,
+ *                                          at the same time. Default: 8
+ * @param {Function?} callback function(error, results). Every item of results
+ *                             is either a result from matter.readFile() or
+ *                             {path: String, error: Error} in the path order.
+ * @return {Promise?} The promise of the results if no callback is provided.
+ */
+matter.readDir = function (dir, opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = null;
+  }
+  if (callback == null) {
+    return toPromise(matter.readDir, [dir, opts]);
+  }
+  if (typeof callback !== 'function') {
+    throw new Error(message('The callback of matter.readDir must be a function.'));
+  }
+  opts = (opts != null ? opts : {});
+  var include = formatPatterns(opts.include, 'include');
+  var exclude = formatPatterns(opts.exclude, 'exclude');
+  var concurrency = (opts.concurrency != null ? opts.concurrency : 8);
+  if (!(concurrency >= 1)) {
+    throw new Error(message('The option "concurrency" must be a positive number.'));
+  }
+  var fileOpts = formatOptions(opts);
+  checkCache(fileOpts);
+
+  walkDirectory(dir, include, exclude, concurrency, function (err, files, dirs, errors) {
+    if (err) {
+      callback(err, null);
+      return;
+    }
+    // The entries that cannot be read are reported in the path order too.
+    var items = files.concat(errors);
+    var results = new Array(items.length);
+    var next = 0, done = 0;
+    var complete = function () {
+      callback(null, results.sort(function (a, b) {
+        return a.path < b.path ? -1 : a.path > b.path ? 1 : 0;
+      }));
+    };
+    var settle = function (index, result) {
+      results[index] = result;
+      if (++done === items.length) {
+        complete();
+      } else {
+        work();
+      }
+    };
+    // Errors get the real paths like the results of matter.readFile().
+    var fail = function (index, path, error) {
+      if (error instanceof MatterError && error.path) {
+        settle(index, {path: error.path, error: error});
+        return;
+      }
+      resolveRealPath(path, function (realpath) {
+        settle(index, {path: realpath, error: error});
+      });
+    };
+    var work = function () {
+      if (next >= items.length) {
+        return;
+      }
+      var index = next++;
+      var item = items[index];
+      if (typeof item !== 'string') {
+        fail(index, item.path, item.error);
+        return;
+      }
+      matter.readFile(item, fileOpts, function (error, result) {
+        if (error) {
+          fail(index, item, error);
+        } else {
+          settle(index, result);
+        }
+      });
+    };
+    if (items.length === 0) {
+      complete();
+      return;
+    }
+    for (var i = 0; i < concurrency && i < items.length; i++) {
+      work();
+    }
+  });
+};
+
+
+/**
+ * Watch the files and emit the changes of their front matter and bodies.
+ *
+ * Changes are collected until no more come in opts.debounce milliseconds.
+ * A changed file is not parsed again if its front matter is the same bytes.
+ *
+ * @param {(String|Array.<String>)} paths The files, directories or glob patterns like "posts/**\/*.md".
+ * @param {Object?} opts Options to parse to matter.readFile().
+ *        @param {(String|RegExp|Function|Array)?} opts.include The patterns that the files in directories must match.
+ *        @param {(String|RegExp|Function|Array)?} opts.exclude The patterns of the files and directories to skip.
+ *        @param {Number?} opts.debounce The milliseconds to wait for more changes. Default: 50
+ * @return {EventEmitter} watcher with the events "add", "unlink", "data-changed",
+ *                        "body-changed", "ready" and "error", and the methods
+ *                        close() and results().
+ */
+matter.watch = function (paths, opts) {
+  paths = (Array.isArray(paths) ? paths : [paths]);
+  if (paths.length === 0 || !paths.every(function (path) {
+    return typeof path === 'string' && path !== '';
+  })) {
+    throw new Error(message('The paths of matter.watch must be non-empty strings.'));
+  }
+  opts = (opts != null ? opts : {});
+  var include = formatPatterns(opts.include, 'include');
+  var exclude = formatPatterns(opts.exclude, 'exclude');
+  var debounce = (opts.debounce != null ? opts.debounce : 50);
+  if (typeof debounce !== 'number' || !(debounce >= 0)) {
+    throw new Error(message('The option "debounce" must be a non-negative number.'));
+  }
+  var fileOpts = formatOptions(opts);
+  checkCache(fileOpts);
+  var fs = require('fs');
+  var pathlib = require('path');
+  var EventEmitter = require('events').EventEmitter;
+  var watcher = new EventEmitter();
+  var roots = paths.map(function (path) {
+    return splitGlob(path, include);
+  });
+  var files = {};  // path -> {result, stat}
+  var watchers = {};  // directory -> fs.FSWatcher
+  var closed = false, ready = false, scanning = false, again = false, timer = null;
+
+  var schedule = function () {
+    if (!closed) {
+      clearTimeout(timer);
+      timer = setTimeout(update, debounce);
+    }
+  };
+  var fail = function (err) {
+    if (!closed) {
+      watcher.emit('error', err);
+    }
+  };
+  var watchDirectory = function (dir) {
+    if (watchers[dir]) {
+      return;
+    }
+    try {
+      watchers[dir] = fs.watch(dir, schedule);
+    } catch (err) {
+      return;  // The directory is gone, and the next scan will tell.
+    }
+    watchers[dir].on('error', function () {
+      unwatchDirectory(dir);
+      schedule();
+    });
+  };
+  var unwatchDirectory = function (dir) {
+    if (watchers[dir]) {
+      watchers[dir].close();
+      delete watchers[dir];
+    }
+  };
+  // Collect the paths of the watched files and directories.
+  var list = function (callback) {
+    var found = {}, dirs = {};
+    var pending = roots.length, complete = true;
+    var done = function () {
+      if (--pending === 0) {
+        callback(complete ? found : null, Object.keys(dirs));
+      }
+    };
+    roots.forEach(function (root) {
+      fs.stat(root.path, function (err, stat) {
+        if (err || (!stat.isFile() && !stat.isDirectory())) {
+          if (err && err.code !== 'ENOENT') {
+            fail(err);
+          }
+          done();
+          return;
+        }
+        if (stat.isFile()) {
+          found[root.path] = true;
+          dirs[pathlib.dirname(root.path)] = true;
+          done();
+          return;
+        }
+        walkDirectory(root.path, root.include, exclude, WALK_CONCURRENCY, function (err, paths, subdirs, errors) {
+          if (err) {
+            // A file may be removed during the walk, so try again later.
+            complete = false;
+            if (err.code !== 'ENOENT') {
+              fail(err);
+            }
+          } else {
+            // Broken symbolic links are skipped like removed files.
+            errors.some(function (item) {
+              if (item.error.code !== 'ENOENT') {
+                fail(item.error);
+                return true;
+              }
+              return false;
+            });
+            paths.forEach(function (path) {
+              found[path] = true;
+            });
+            subdirs.forEach(function (dir) {
+              dirs[dir] = true;
+            });
+          }
+          done();
+        });
+      });
+    });
+  };
+  var update = function () {
+    timer = null;
+    if (closed) {
+      return;
+    }
+    if (scanning) {
+      again = true;
+      return;
+    }
+    scanning = true;
+    list(function (found, dirs) {
+      if (closed) {
+        return;
+      }
+      Object.keys(watchers).forEach(function (dir) {
+        if (dirs.indexOf(dir) < 0) {
+          unwatchDirectory(dir);
+        }
+      });
+      dirs.forEach(watchDirectory);
+      var finish = function () {
+        scanning = false;
+        if (!ready) {
+          ready = true;
+          watcher.emit('ready', watcher.results());
+        }
+        if (again || !found) {
+          again = false;
+          schedule();
+        }
+      };
+      if (!found) {
+        finish();
+        return;
+      }
+      var all = Object.keys(files).concat(Object.keys(found).filter(function (path) {
+        return !files.hasOwnProperty(path);
+      })).sort();
+      var next = function (i) {
+        if (closed) {
+          return;
+        }
+        if (i >= all.length) {
+          finish();
+          return;
+        }
+        var path = all[i];
+        if (!found.hasOwnProperty(path)) {
+          var before = files[path].result;
+          delete files[path];
+          watcher.emit('unlink', {path: before.path, before: before, after: null});
+          next(i + 1);
+          return;
+        }
+        refresh(path, function () {
+          next(i + 1);
+        });
+      };
+      next(0);
+    });
+  };
+  // Read the file again if it is new or changed, and emit the changes.
+  var refresh = function (path, callback) {
+    var record = files[path];
+    fs.stat(path, function (err, stat) {
+      if (err || (record && isSameStat(record.stat, stat))) {
+        callback();  // A removed file is left to the next scan.
+        return;
+      }
+      fs.readFile(path, function (err, buffer) {
+        if (closed) {
+          return;
+        }
+        if (err) {
+          if (err.code !== 'ENOENT') {
+            fail(err);
+          }
+          callback();
+          return;
+        }
+        var before = record ? record.result : null;
+        var content = decodeBuffer(buffer, fileOpts.encoding).str;
+        if (before && content === (before.bom ? '\uFEFF' : '') + before.src) {
+          record.stat = stat;
+          callback();
+          return;
+        }
+        var changed = function (after) {
+          files[path] = {result: after, stat: stat};
+          if (!before) {
+            watcher.emit('add', {path: after.path, before: null, after: after});
+          } else {
+            if (!isEqual(before.data, after.data)) {
+              watcher.emit('data-changed', {
+                path: after.path, before: before, after: after,
+                diff: diffData(before.data, after.data)
+              });
+            }
+            if (before.body !== after.body) {
+              watcher.emit('body-changed', {path: after.path, before: before, after: after});
+            }
+          }
+          callback();
+        };
+        var reused = before && reuseResult(before, content, fileOpts);
+        if (reused) {
+          changed(reused);
+          return;
+        }
+        parseFile(path, buffer, fileOpts, function (err, after) {
+          if (closed) {
+            return;
+          }
+          if (err) {
+            fail(err);  // Keep the last result.
+            callback();
+            return;
+          }
+          changed(after);
+        });
+      });
+    });
+  };
+
+  /**
+   * Stop watching. No more events will be emitted.
+   */
+  watcher.close = function () {
+    closed = true;
+    clearTimeout(timer);
+    Object.keys(watchers).forEach(unwatchDirectory);
+  };
+  /**
+   * @return {Array.<Object>} The current results of the files in the path order.
+   */
+  watcher.results = function () {
+    return Object.keys(files).sort().map(function (path) {
+      return files[path].result;
+    });
+  };
+  // Let the listeners be attached first.
+  process.nextTick(update);
+  return watcher;
+};
+
+// The characters read from a stream before giving up on finding the end of
+// the front matter.
+var MAX_HEAD_LENGTH = 1024 * 1024;
+// The milliseconds to wait for more chunks before scanning the head again.
+var CHECK_DELAY = 10;
+
+/**
+ * Parse the front matter from a readable stream, which is read only until
+ * the end of the front matter, or MAX_HEAD_LENGTH characters if it does not
+ * end before them.
+ *
+ * Parsers are allowed to return promises.
+ *
+ * @param {stream.Readable} input
+ * @param {Object?} opts Options to parse to matter().
+ *        @param {Boolean?} opts.body Whether to hand back the rest of the input as a stream. Default: true
+ * @param {Function?} callback function(error, result). result.src is only the
+ *                             text before the body, and result.body is a
+ *                             readable stream or null.
+ * @return {Promise?} The promise of the result if no callback is provided.
+ */
+matter.stream = function (input, opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = null;
+  }
+  if (callback == null) {
+    return toPromise(matter.stream, [input, opts]);
+  }
+  if (typeof callback !== 'function') {
+    throw new Error(message('The callback of matter.stream must be a function.'));
+  }
+  var wantBody = !(opts != null && opts.body === false);
+  opts = formatOptions(opts);
+  opts.excerpt = null;  // The body is not read.
+  var chunks = [];
+  // The text decoded so far, and the bytes of an incomplete character.
+  var head = '';
+  var pending = null;
+  var encoding = opts.encoding;
+  var checked = 0;
+  var timer = null;
+  var finished = false;
+  var finish = function (err, ended) {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    clearTimeout(timer);
+    input.removeListener('data', onData);
+    input.removeListener('end', onEnd);
+    input.removeListener('error', onError);
+    if (err) {
+      callback(err, null);
+      return;
+    }
+    var buffer = Buffer.concat(chunks);
+    var decoded = decodeBuffer(buffer, opts.encoding);
+    var head = decoded.str;
+    var bom = head.charCodeAt(0) === 0xFEFF ? 1 : 0;
+    var pos = (opts.braces && scanBraces(head.substr(bom), opts.loose)) ||
+              scanProfiles(head.substr(bom), opts.profiles, opts.loose);
+    var next;
+    while (pos && opts.multiple && (next = scanNext(head.substr(bom), pos.bodyStart, opts))) {
+      pos = next;
+    }
+    var bodyStart = bom + (pos ? pos.bodyStart : 0);
+    var result;
+    try {
+      result = extract(head.substr(0, bodyStart), opts, true);
+    } catch (error) {
+      callback(error, null);
+      return;
+    }
+    if (result.loc) {
+      result.loc.body.end = null;  // unknown
+    }
+    result.encoding = decoded.encoding;
+    result.body = null;
+    if (wantBody) {
+      var PassThrough = require('stream').PassThrough;
+      var body = new PassThrough();
+      body.write(buffer.slice(encodeText(head.substr(0, bodyStart), decoded.encoding).length));
+      if (ended) {
+        body.end();
+      } else {
+        input.on('error', function (error) {
+          body.emit('error', error);
+        });
+        input.pipe(body);
+      }
+      result.body = body;
+    } else if (!ended) {
+      if (typeof input.destroy === 'function') {
+        input.destroy();
+      } else {
+        input.pause();
+      }
+    }
+    if (isThenable(result.data)) {
+      result.data.then(function (data) {
+        result.data = data;
+        callback(null, result);
+      }, function (error) {
+        callback(error, null);
+      });
+      return;
+    }
+    callback(null, result);
+  };
+  var onData = function (chunk) {
+    chunk = toBuffer(chunk);
+    chunks.push(chunk);
+    // Only the new bytes are decoded.
+    var bytes = pending ? Buffer.concat([pending, chunk]) : chunk;
+    if (encoding === null) {
+      if (bytes.length < 2) {  // Not enough for the byte-order mark.
+        pending = bytes;
+        return;
+      }
+      encoding = decodeInput(bytes.slice(0, 2), null).encoding;
+    }
+    var end = getDecodableLength(bytes, encoding);
+    head += decodeBuffer(bytes.slice(0, end), encoding).str;
+    pending = bytes.slice(end);
+    // The head is scanned again at once only if it has doubled, so that the
+    // scans of many small chunks take linear time.
+    if (head.length >= 2 * checked) {
+      check();
+    } else if (timer === null) {
+      timer = setTimeout(check, CHECK_DELAY);
+    }
+  };
+  var check = function () {
+    clearTimeout(timer);
+    timer = null;
+    checked = head.length;
+    if (!finished && (head.length > MAX_HEAD_LENGTH ||
+        isHeadComplete(head.charCodeAt(0) === 0xFEFF ? head.substr(1) : head, opts))) {
+      finish(null, false);
+    }
+  };
+  var onEnd = function () {
+    finish(null, true);
+  };
+  var onError = function (err) {
+    finish(err);
+  };
+  input.on('data', onData);
+  input.on('end', onEnd);
+  input.on('error', onError);
+};
+
+
+/**
+ * Read and parse the front matter from the start of the file, without reading
+ * the whole file.
+ *
+ * @param {String} path The path to the file.
+ * @param {Object?} opts Options to parse to matter().
+ *        @param {Boolean?} opts.body Whether to hand back the rest of the file as a stream. Default: false
+ * @param {Function?} callback function(error, result). The same as matter.stream(),
+ *                             and result.path is the real file path.
+ * @return {Promise?} The promise of the result if no callback is provided.
+ */
+matter.readHead = function (path, opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = null;
+  }
+  if (callback == null) {
+    return toPromise(matter.readHead, [path, opts]);
+  }
+  if (typeof callback !== 'function') {
+    throw new Error(message('The callback of matter.readHead must be a function.'));
+  }
+  var fs = require('fs');
+  var streamOpts = {body: false};
+  for (var key in opts) {
+    streamOpts[key] = opts[key];
+  }
+  fs.realpath(path, function (err, realpath) {
+    if (err) {
+      callback(err, null);
+      return;
+    }
+    matter.stream(fs.createReadStream(realpath), streamOpts, function (error, result) {
+      if (error) {
+        if (error instanceof MatterError) {
+          error.path = realpath;
+        }
+        callback(error, null);
+        return;
+      }
+      result.path = realpath;
+      callback(null, result);
+    });
+  });
+};
+
+
+/**
+ * Change the front matter data in the file with matter.update().
+ *
+ * @param {String} path The path to the file.
+ * @param {Function} mutator The same as for matter.update().
+ * @param {Object?} opts Options to parse to matter.update().
+ * @return {Object} result The result from matter.readFileSync() for the new content.
+ */
+matter.updateFileSync = function (path, mutator, opts) {
+  var fs = require('fs');
+  var realpath = fs.realpathSync(path);
+  var input = decodeBuffer(fs.readFileSync(realpath), formatOptions(opts).encoding);
+  var content = input.str;
+  var updated;
+  try {
+    updated = matter.update(content, mutator, opts);
+  } catch (err) {
+    if (err instanceof MatterError) {
+      err.path = realpath;
+    }
+    throw err;
+  }
+  if (updated !== content) {
+    fs.writeFileSync(realpath, encodeText(updated, input.encoding));
+  }
+  var result = matter(updated, opts);
+  result.encoding = input.encoding;
+  result.path = realpath;
+  return result;
+};
+
+
+/**
+ * Cache the results of the file readers with the option "cache".
+ *
+ * @param {Object?} opts The options of matter.Cache.
+ * @return {Cache}
+ */
+matter.Cache = Cache;
+matter.cache = function (opts) {
+  return new Cache(opts);
+};
+
+
+/**
+ * Parse the content of a file like matter.readFile() does.
+ *
+ * @param {String} path
+ * @param {String} content
+ * @param {Object} opts The formatted options.
+ * @param {Function} callback function(error, result)
+ * @param {Object?} lookup The object from Cache#_lookup() if opts.cache is
+ *                         looked up already.
+ */
+function parseFile(path, content, opts, callback, lookup) {
+  var fs = require('fs');
+  var realpath, result;
+  var fail = function (error) {
+    if (error instanceof MatterError && realpath) {
+      error.path = realpath;
+    }
+    callback(error, null);
+  };
+  var done = function () {
+    if (lookup) {
+      opts.cache._store(lookup, result);
+    }
+    callback(null, result);
+  };
+  try {
+    realpath = fs.realpathSync(path);
+    if (lookup === undefined && opts.cache !== null) {
+      lookup = opts.cache._lookup(realpath, opts, content);
+      if (lookup.result !== null) {
+        callback(null, lookup.result);
+        return;
+      }
+    }
+    result = extractFile(content, opts, realpath, true, lookup);
+  } catch (error) {
+    fail(error);
+    return;
+  }
+  if (isThenable(result.data)) {
+    result.data.then(function (data) {
+      result.data = data;
+      done();
+    }, fail);
+    return;
+  }
+  done();
+}
+
+/**
+ * Run extract() for the file, and record the other files read for it if the
+ * result is to be cached.
+ *
+ * @param {(String|Buffer)} content
+ * @param {Object} opts The formatted options.
+ * @param {String} path The real path of the file.
+ * @param {Boolean} async
+ * @param {Object?} lookup The object from Cache#_lookup().
+ * @return {Object} The result with the property "path".
+ */
+function extractFile(content, opts, path, async, lookup) {
+  var input = decodeBuffer(content, opts.encoding);
+  var result;
+  dependencies = (lookup ? lookup.dependencies : null);
+  try {
+    result = extract(input.str, fileOptions(opts, path), async);
+  } finally {
+    dependencies = null;
+  }
+  result.encoding = input.encoding;
+  result.path = path;
+  return result;
+}
+
+function depend(path) {
+  if (dependencies !== null && dependencies.indexOf(path) < 0) {
+    dependencies.push(path);
+  }
+}
+
+// The option "cache" must be made by matter.cache().
+function checkCache(opts) {
+  if (opts.cache !== null && !(opts.cache instanceof Cache)) {
+    throw new Error(message('The option "cache" must be a matter.Cache.'));
+  }
+}
+
+// Split a watched path into the directory and the glob pattern of the files.
+function splitGlob(path, include) {
+  var pathlib = require('path');
+  var parts = path.split('/');
+  var i = 0;
+  while (i < parts.length && !/[*?{]/.test(parts[i])) {
+    i++;
+  }
+  if (i === parts.length) {
+    return {path: pathlib.resolve(path), include: include};
+  }
+  var re = globToRegExp(parts.slice(i).join('/'));
+  return {
+    path: pathlib.resolve(parts.slice(0, i).join('/') || (path[0] === '/' ? '/' : '.')),
+    include: [function (relpath) {
+      return re.test(relpath) && (!include || matchPatterns(include, relpath));
+    }]
+  };
+}
+
+// The real path of an entry that may not exist, like a broken symbolic link,
+// from the real path of its directory.
+function resolveRealPath(path, callback) {
+  var fs = require('fs');
+  var pathlib = require('path');
+  fs.realpath(path, function (err, realpath) {
+    if (!err) {
+      callback(realpath);
+      return;
+    }
+    fs.realpath(pathlib.dirname(path), function (err, dir) {
+      callback(err ? pathlib.resolve(path) : pathlib.join(dir, pathlib.basename(path)));
+    });
+  });
+}
+
+function isSameStat(a, b) {
+  return a.mtime.getTime() === b.mtime.getTime() && a.size === b.size && a.ino === b.ino;
+}
+
+// The offset where the body starts, found without parsing like extract().
+function locateBody(str, opts) {
+  var pos = !str ? null : (opts.braces && scanBraces(str, opts.loose)) ||
+                          scanProfiles(str, opts.profiles, opts.loose);
+  if (!pos) {
+    return 0;
+  }
+  var next;
+  while (opts.multiple && (next = scanNext(str, pos.bodyStart, opts))) {
+    pos = next;
+  }
+  return pos.bodyStart;
+}
+
+/**
+ * Give a new result with the data of the last one if the front matter of
+ * the new content has the same bytes, or null if it has to be parsed.
+ *
+ * @param {Object} before The last result from matter.readFile().
+ * @param {String} content The new content of the file.
+ * @param {Object} opts The formatted options.
+ * @return {Object?}
+ */
+function reuseResult(before, content, opts) {
+  if (opts.root != null || opts.defaults != null || opts.interpolate) {
+    return null;  // The data depends on other files or the file itself.
+  }
+  var bom = content.charCodeAt(0) === 0xFEFF;
+  var str = (bom ? content.substr(1) : content);
+  var end = (before.loc ? before.loc.body.start : 0);
+  if (bom !== before.bom || str.substr(0, end) !== before.src.substr(0, end) ||
+      locateBody(str, opts) !== end) {
+    return null;
+  }
+  var after = {};
+  Object.keys(before).forEach(function (key) {
+    after[key] = before[key];
+  });
+  after.src = str;
+  after.body = str.substr(end);
+  after.eol = detectEol(str);
+  if (before.loc) {
+    after.loc = {open: before.loc.open, data: before.loc.data, close: before.loc.close,
+                 body: locateRange(str, end, str.length)};
+  }
+  if (before.blocks && before.blocks.length > 0) {
+    var last = before.blocks[before.blocks.length - 1];
+    after.blocks = before.blocks.slice(0, -1).concat({
+      lang: last.lang, matter: last.matter, data: last.data, profile: last.profile,
+      loc: {open: last.loc.open, data: last.loc.data, close: last.loc.close, body: after.loc.body}
+    });
+  }
+  if (opts.excerpt !== null) {
+    extractExcerpt(after, opts);
+  }
+  return after;
+}
+
+/**
+ * List the differences between two values of data by key paths. Null data
+ * is compared as an empty object.
+ *
+ * @param {Mixed} before
+ * @param {Mixed} after
+ * @return {Array.<Object>} [{path, type, before, after}] where type is one
+ *                          of "added", "removed" and "changed".
+ */
+function diffData(before, after) {
+  var changes = [];
+  var diff = function (a, hasA, b, hasB, path) {
+    if (hasA && hasB && isEqual(a, b)) {
+      return;
+    }
+    if (!hasA || !hasB) {
+      changes.push({path: path, type: hasA ? 'removed' : 'added', before: a, after: b});
+    } else if (isPlainObject(a) && isPlainObject(b)) {
+      Object.keys(a).concat(Object.keys(b).filter(function (key) {
+        return !a.hasOwnProperty(key);
+      })).forEach(function (key) {
+        diff(a[key], a.hasOwnProperty(key), b[key], b.hasOwnProperty(key), joinPath(path, key));
+      });
+    } else if (Array.isArray(a) && Array.isArray(b)) {
+      for (var i = 0; i < Math.max(a.length, b.length); i++) {
+        diff(a[i], i < a.length, b[i], i < b.length, joinPath(path, i));
+      }
+    } else {
+      changes.push({path: path, type: 'changed', before: a, after: b});
+    }
+  };
+  diff(before != null ? before : {}, true, after != null ? after : {}, true, '');
+  return changes;
+}
+
+/**
+ * Collect the paths of the files in the directory recursively.
+ *
+ * @param {String} dir
+ * @param {Array.<Function>?} include
+ * @param {Array.<Function>?} exclude
+ * @param {Number} concurrency The maximum number of the entries read at the same time.
+ * @param {Function} callback function(error, files, dirs, errors) with sorted
+ *                            paths, where errors are {path, error} for the
+ *                            entries in the directory that cannot be read,
+ *                            like broken symbolic links.
+ */
+function walkDirectory(dir, include, exclude, concurrency, callback) {
+  var fs = require('fs');
+  var pathlib = require('path');
+  var files = [];
+  var dirs = [];
+  var errors = [];
+  var visited = {};
+  var pending = 0;
+  var failed = false;
+  // The calls of fs waiting for a free slot, each of type function(release).
+  var queue = [];
+  var running = 0;
+  var schedule = function (task) {
+    queue.push(task);
+    while (running < concurrency && queue.length > 0) {
+      running++;
+      queue.shift()(release);
+    }
+  };
+  var release = function () {
+    running--;
+    if (queue.length > 0) {
+      running++;
+      queue.shift()(release);
+    }
+  };
+  var fail = function (err) {
+    if (!failed) {
+      failed = true;
+      callback(err, null);
+    }
+  };
+  var finish = function () {
+    if (--pending === 0 && !failed) {
+      callback(null, files.sort(), dirs.sort(), errors.sort(function (a, b) {
+        return a.path < b.path ? -1 : a.path > b.path ? 1 : 0;
+      }));
+    }
+  };
+  var walk = function (path, relpath) {
+    pending++;
+    schedule(function (release) {
+      fs.stat(path, function (err, stat) {
+        release();
+        visit(path, relpath, err, stat);
+      });
+    });
+  };
+  var visit = function (path, relpath, err, stat) {
+    if (relpath && exclude && matchPatterns(exclude, relpath)) {
+      finish();
+      return;
+    }
+    if (err) {
+      if (!relpath) {
+        fail(err);
+        return;
+      }
+      if (!include || matchPatterns(include, relpath)) {
+        errors.push({path: path, error: err});
+      }
+      finish();
+      return;
+    }
+    if (stat.isFile()) {
+      if (relpath && (!include || matchPatterns(include, relpath))) {
+        files.push(path);
+      }
+      finish();
+      return;
+    }
+    // Guard against cyclic symbolic links.
+    var id = stat.dev + ':' + stat.ino;
+    if (!stat.isDirectory() || visited[id]) {
+      finish();
+      return;
+    }
+    visited[id] = true;
+    dirs.push(path);
+    schedule(function (release) {
+      fs.readdir(path, function (err, names) {
+        release();
+        if (err) {
+          if (!relpath) {
+            fail(err);
+            return;
+          }
+          errors.push({path: path, error: err});
+          names = [];
+        }
+        names.forEach(function (name) {
+          walk(pathlib.join(path, name), relpath ? relpath + '/' + name : name);
+        });
+        finish();
+      });
+    });
+  };
+  walk(dir, '');
+}
+
+function formatPatterns(patterns, name) {
+  if (patterns == null) {
+    return null;
+  }
+  return (Array.isArray(patterns) ? patterns : [patterns]).map(function (pattern) {
+    if (typeof pattern === 'string') {
+      // Patterns without slashes match the base name like .gitignore does.
+      var re = globToRegExp(pattern);
+      var base = pattern.indexOf('/') < 0;
+      return function (path) {
+        return re.test(base ? path.substr(path.lastIndexOf('/') + 1) : path);
+      };
+    }
+    if (pattern instanceof RegExp) {
+      return function (path) {
+        return pattern.test(path);
+      };
+    }
+    if (typeof pattern === 'function') {
+      return pattern;
+    }
+    throw new Error(message('The option "' + name + '" is invalid.'));
+  });
+}
+
+function matchPatterns(patterns, path) {
+  return patterns.some(function (match) {
+    return match(path);
+  });
+}
+
+/**
+ * Convert a glob pattern to a regular expression.
+ *
+ * Supported syntax: "*", "**", "?" and "{a,b}".
+ *
+ * @param {String} glob
+ * @return {RegExp}
+ */
+function globToRegExp(glob) {
+  var re = '';
+  var groups = 0;
+  for (var i = 0; i < glob.length; i++) {
+    var c = glob[i];
+    if (c === '*') {
+      if (glob[i+1] === '*') {
+        i++;
+        if (glob[i+1] === '/') {
+          i++;
+          re += '(?:[^/]*/)*';  // zero or more directories
+        } else {
+          re += '.*';
+        }
+      } else {
+        re += '[^/]*';
+      }
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '{') {
+      groups++;
+      re += '(?:';
+    } else if (c === '}' && groups > 0) {
+      groups--;
+      re += ')';
+    } else if (c === ',' && groups > 0) {
+      re += '|';
+    } else {
+      re += c.replace(/[\\^$.*+?()[\]{}|\/]/g, '\\$&');
+    }
+  }
+  return new RegExp('^' + re + '$');
+}
+
+// Call the function with a node-style callback, and return a promise.
+function toPromise(fn, args) {
+  if (typeof Promise !== 'function') {
+    throw new Error(message('Promise is not supported in this environment.'));
+  }
+  return new Promise(function (resolve, reject) {
+    fn.apply(null, args.concat(function (err, result) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(result);
+      }
+    }));
+  });
+}
+
+function toBuffer(chunk, encoding) {
+  if (Buffer.isBuffer(chunk)) {
+    return chunk;
+  }
+  if (typeof chunk === 'string') {
+    return Buffer.from ? Buffer.from(chunk, encoding) : new Buffer(chunk, encoding);
+  }
+  return Buffer.from ? Buffer.from(chunk) : new Buffer(chunk);
+}
+
+// The number of the leading bytes that decode to whole characters, where an
+// incomplete UTF-8 sequence or UTF-16 code unit at the end is left out.
+function getDecodableLength(bytes, encoding) {
+  var length = bytes.length;
+  if (encoding === 'utf16le' || encoding === 'utf16be') {
+    return length - length % 2;
+  }
+  if (encoding === 'utf8') {
+    for (var i = length - 1; i >= 0 && i >= length - 3; i--) {
+      if (bytes[i] >= 0xC0) {
+        var size = (bytes[i] >= 0xF0 ? 4 : bytes[i] >= 0xE0 ? 3 : 2);
+        return length - i < size ? i : length;
+      }
+      if (bytes[i] < 0x80) {
+        break;
+      }
+    }
+  }
+  return length;
+}
+
+/**
+ * Test if the front matter can be located in the head of the input without
+ * reading more, i.e. whether scan() would give the same result for any text
+ * appended to it.
+ *
+ * @param {String} head
+ * @param {Object} opts The formatted options.
+ * @return {Boolean}
+ */
+function isHeadComplete(head, opts) {
+  if (!isBlockComplete(head, opts, opts.braces)) {
+    return false;
+  }
+  if (!opts.multiple) {
+    return true;
+  }
+  var pos = (opts.braces && scanBraces(head, opts.loose)) ||
+            scanProfiles(head, opts.profiles, opts.loose);
+  if (!pos) {
+    return true;
+  }
+  var next;
+  while ((next = scanNext(head, pos.bodyStart, opts))) {
+    pos = next;
+  }
+  // Another block may still follow the blank lines.
+  var rest = head.substr(pos.bodyStart).replace(/^(?:[ \t]*\r?\n)+/, '');
+  return !/^[ \t]*\r?$/.test(rest) && isBlockComplete(rest, opts, false);
+}
+
+function isBlockComplete(head, opts, braces) {
+  var complete = function (end) {
+    // The line after the closing delimiter decides where the body starts.
+    return end >= 0 && head.indexOf('\n', end) >= 0;
+  };
+  if (braces && head[0] === '{') {
+    var pos = scanBraces(head, true);
+    if (!pos || !complete(pos.dataEnd)) {
+      return false;
+    }
+  }
+  return opts.profiles.every(function (profile) {
+    if (profile.comment) {
+      return isCommentComplete(head, profile, opts.loose);
+    }
+    var header = profile.delims[0];
+    var footer = profile.delims[1];
+    if (head.length <= header.length) {
+      return head !== header.substr(0, head.length);
+    }
+    if (head.substr(0, header.length) !== header) {
+      return true;
+    }
+    var dataStart = head.indexOf('\n', header.length);
+    var dataEnd = dataStart < 0 ? -1 : head.indexOf('\n' + footer, dataStart);
+    return complete(dataEnd < 0 ? -1 : dataEnd + 1 + footer.length);
+  });
+}
+
+function isCommentComplete(head, profile, loose) {
+  var pos = scanComment(head, profile, loose);
+  if (pos) {
+    return head.indexOf('\n', pos.closeEnd) >= 0;
+  }
+  var comment = profile.comment;
+  var text = head;
+  if (head.length < 2 && head === '#!'.substr(0, head.length)) {
+    return false;
+  }
+  if (head.substr(0, 2) === '#!') {
+    if (head.indexOf('\n') < 0) {
+      return false;
+    }
+    text = head.substr(head.indexOf('\n') + 1);
+  }
+  var lead = comment.open || comment.prefix;
+  if (!comment.open) {
+    text = text.replace(/^[ \t]+/, '');
+  }
+  if (text.length <= lead.length) {
+    return text !== lead.substr(0, text.length);
+  }
+  if (text.substr(0, lead.length) !== lead) {
+    return true;
+  }
+  // Wait until the comment ends.
+  if (comment.close) {
+    var end = text.indexOf(comment.close, lead.length);
+    return end >= 0 && text.indexOf('\n', end) >= 0;
+  }
+  var lines = text.split('\n');
+  for (var i = 1; i < lines.length - 1; i++) {
+    if (lines[i].replace(/^[ \t]+/, '').substr(0, lead.length) !== lead) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Prepare the options for the file read by readFile() and readFileSync().
+ *
+ * @param {Object} opts The formatted options.
+ * @param {String} path The real path of the file.
+ * @return {Object} The formatted options for the file.
+ */
+function fileOptions(opts, path) {
+  var fs = require('fs');
+  var root = opts.root !== null ? fs.realpathSync(opts.root) : null;
+  // The "!include" tag in YAML front matter is only enabled with opts.root.
+  var fileOpts = root !== null ? includeOptions(opts, path, root, [path]) : formatOptions(opts);
+  if (opts.defaults !== null) {
+    fileOpts.cascade = {path: path, files: findDefaults(path, opts, root)};
+  }
+  if (opts.interpolate) {
+    fileOpts.file = {
+      path: path,
+      basename: require('path').basename(path),
+      mtime: fs.statSync(path).mtime
+    };
+  }
+  return fileOpts;
+}
+
+function includeOptions(opts, file, root, chain) {
+  var fileOpts = formatOptions(opts);
+  var yaml = getLanguageOptions('yaml', opts);
+  delete yaml.loose;
+  yaml.types = (yaml.types != null ? [].concat(yaml.types) : []).concat({
+    tag: '!include',
+    kind: 'scalar',
+    resolve: function (data) {
+      return typeof data === 'string' && data !== '';
+    },
+    construct: function (target) {
+      return include(target, file, root, chain, opts);
+    }
+  });
+  fileOpts.languageOptions = {};
+  if (opts.languageOptions !== null) {
+    Object.keys(opts.languageOptions).forEach(function (lang) {
+      fileOpts.languageOptions[lang] = opts.languageOptions[lang];
+    });
+  }
+  fileOpts.languageOptions.yaml = yaml;
+  return fileOpts;
+}
+
+/**
+ * Read the file for "!include". Files of known languages like "a.yml" are
+ * parsed, and others are read as strings.
+ *
+ * @param {String} target The path relative to the including file.
+ * @param {String} file The real path of the including file.
+ * @param {String} root The real path of the root directory.
+ * @param {Array.<String>} chain The real paths of the including files.
+ * @param {Object} opts The formatted options.
+ * @return {Mixed}
+ * @throws {SyntaxError} If the file cannot be included, so that it is a parse
+ *                       error of the front matter like in the docs.
+ */
+function include(target, file, root, chain, opts) {
+  var fs = require('fs');
+  var Path = require('path');
+  var isInside = function (path) {
+    return path === root || path.indexOf(root.replace(/[\\\/]?$/, Path.sep)) === 0;
+  };
+  var fail = function (reason, cause) {
+    var error = new SyntaxError(message(reason));
+    error.path = file;
+    if (cause !== undefined) {
+      error.cause = cause;
+    }
+    return error;
+  };
+  var path = Path.resolve(Path.dirname(file), target);
+  var text;
+  try {
+    if (isInside(path)) {
+      path = fs.realpathSync(path);
+    }
+    if (isInside(path)) {
+      text = formatString(fs.readFileSync(path, {encoding: 'utf8'}));
+    }
+  } catch (err) {
+    throw fail('Cannot include "' + target + '" in ' + file + ': ' + err.message, err);
+  }
+  if (text === undefined) {
+    throw fail('Cannot include "' + target + '" in ' + file + ' outside of the root directory.');
+  }
+  if (chain.indexOf(path) >= 0) {
+    throw fail('Circular inclusion: ' + chain.concat(path).join(' -> '));
+  }
+  depend(path);
+  var lang = resolveLanguage(Path.extname(path).substr(1).toLowerCase(), opts);
+  var parse = lang ? opts.registry.parsers[lang] : null;
+  if (typeof parse !== 'function') {
+    return text;
+  }
+  var fileOpts = includeOptions(opts, path, root, chain.concat(path));
+  var data = parse(text.replace(/\r\n/g, '\n'), getLanguageOptions(lang, fileOpts));
+  if (isThenable(data)) {
+    throw new Error(message('The parser for the language "' + lang +
+                            '" returned a promise for the included file.'));
+  }
+  return data;
+}
+
+/**
+ * Find the defaults files from the directory of the file up to the root,
+ * for extract() to merge their data under the data of the file.
+ *
+ * @param {String} path The real path of the file.
+ * @param {Object} opts The formatted options.
+ * @param {String?} root The real path of opts.root.
+ * @return {Array.<Object>} [{path, data}] from the root down.
+ */
+function findDefaults(path, opts, root) {
+  var fs = require('fs');
+  var Path = require('path');
+  var files = [];
+  var dir = Path.dirname(path);
+  while (true) {
+    var file = null;
+    for (var i = 0; i < opts.defaults.length && file === null; i++) {
+      var candidate = Path.join(dir, opts.defaults[i]);
+      depend(candidate);  // A defaults file added later changes the result too.
+      if (candidate !== path && fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+        file = candidate;
+      }
+    }
+    if (file !== null) {
+      files.unshift({path: fs.realpathSync(file), data: readDefaults(file, opts, root)});
+    }
+    if (root === null || dir === root || dir === Path.dirname(dir) ||
+        dir.indexOf(root.replace(/[\\\/]?$/, Path.sep)) !== 0) {
+      break;
+    }
+    dir = Path.dirname(dir);
+  }
+  return files;
+}
+
+function readDefaults(path, opts, root) {
+  var text = formatString(require('fs').readFileSync(path, {encoding: 'utf8'}));
+  var lang = resolveLanguage(require('path').extname(path).substr(1).toLowerCase(), opts);
+  var parse = lang ? opts.registry.parsers[lang] : null;
+  if (typeof parse !== 'function') {
+    throw new Error(message('No parser found for the defaults file: ' + path));
+  }
+  var fileOpts = root !== null ? includeOptions(opts, path, root, [path]) : opts;
+  var data;
+  try {
+    data = parse(text.replace(/\r\n/g, '\n'), getLanguageOptions(lang, fileOpts));
+  } catch (err) {
+    throw new Error(message('Failed to parse the defaults file ' + path + ': ' +
+                            ((err && err.message) || String(err)).replace(/^\[matter\]: /, '')));
+  }
+  if (data != null && !isPlainObject(data)) {
+    throw new Error(message('The defaults file must contain an object: ' + path));
+  }
+  return data;
+}
+
+/**
+ * Decode the bytes like decodeInput() of core.js, but with the decoders of
+ * node, which are much faster for large files.
+ *
+ * @param {(String|Buffer)} input A string is returned as it is.
+ * @param {String?} encoding The formatted encoding, or null to detect UTF-16 from the byte-order mark.
+ * @return {Object} {str, encoding}
+ */
+function decodeBuffer(input, encoding) {
+  if (!Buffer.isBuffer(input)) {
+    return decodeInput(input, encoding);
+  }
+  if (encoding === null) {
+    encoding = decodeInput(input.slice(0, 2), null).encoding;
+  }
+  var str;
+  if (encoding === 'utf16be') {
+    str = swapBytes(input).toString('utf16le');
+  } else if (encoding === 'ascii') {
+    // Node decodes "ascii" as latin1 now, so drop the high bit here.
+    str = input.toString(toNodeEncoding('latin1')).replace(/[\x80-\xFF]/g, function (c) {
+      return String.fromCharCode(c.charCodeAt(0) & 0x7F);
+    });
+  } else {
+    str = input.toString(toNodeEncoding(encoding));
+  }
+  return {str: str, encoding: encoding};
+}
+
+function encodeText(str, encoding) {
+  if (encoding === 'utf16be') {
+    return swapBytes(toBuffer(str, 'utf16le'));
+  }
+  return toBuffer(str, toNodeEncoding(encoding || 'utf8'));
+}
+
+function toNodeEncoding(encoding) {
+  // Old versions of node only know "binary".
+  return (encoding === 'latin1' && !Buffer.isEncoding('latin1')) ? 'binary' : encoding;
+}
+
+// Swap the bytes of each UTF-16 code unit, and drop the odd byte at the end.
+function swapBytes(buffer) {
+  var length = buffer.length - buffer.length % 2;
+  var swapped = Buffer.alloc ? Buffer.alloc(length) : new Buffer(length);
+  for (var i = 0; i < length; i += 2) {
+    swapped[i] = buffer[i + 1];
+    swapped[i + 1] = buffer[i];
+  }
+  return swapped;
+}
+
+module.exports = matter;
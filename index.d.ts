@@ -0,0 +1,235 @@
+// Type definitions for meta-matter, i.e. matter() with the file APIs for node.
+
+/// <reference types="node" />
+
+import { EventEmitter } from 'events';
+import { Readable } from 'stream';
+import core = require('./core');
+
+declare namespace matter {
+  type Parser = core.Parser;
+  type Serializer = core.Serializer;
+  type LanguageOptions = core.LanguageOptions;
+  type YamlOptions = core.YamlOptions;
+  type YamlType = core.YamlType;
+  type Comment = core.Comment;
+  type Profile = core.Profile;
+  type FormattedProfile = core.FormattedProfile;
+  type Delimiters = core.Delimiters;
+  type Encoding = core.Encoding;
+  type Schema = core.Schema;
+  type SchemaType = core.SchemaType;
+  type Registry = core.Registry;
+  type Options = core.Options;
+  type Range = core.Range;
+  type Locations = core.Locations;
+  type Block = core.Block;
+  type SchemaError = core.SchemaError;
+  type UnresolvedReference = core.UnresolvedReference;
+  type Result<T = any> = core.Result<T>;
+  type StringifyOptions = core.StringifyOptions;
+  type TestOptions = core.TestOptions;
+  type Mutator<T = any> = core.Mutator<T>;
+  type Plugin = core.Plugin;
+  type MatterError = core.MatterError;
+  type MatterErrorConstructor = core.MatterErrorConstructor;
+  type CollectionItem<T = any> = core.CollectionItem<T>;
+  type CollectionOptions<I extends CollectionItem = CollectionItem> = core.CollectionOptions<I>;
+  type Query<I extends CollectionItem = CollectionItem> = core.Query<I>;
+  type Group<I> = core.Group<I>;
+  type Page<I> = core.Page<I>;
+  type Collection<I extends CollectionItem = CollectionItem> = core.Collection<I>;
+  type CollectionConstructor = core.CollectionConstructor;
+  type Modules = core.Modules;
+  type Core = core.Core;
+
+  /** The options of the file readers. */
+  interface FileOptions extends Options {
+    /** The cache for the results. Default: null */
+    cache?: Cache | null;
+  }
+
+  /** The result of the file readers, where T is the type of the data. */
+  interface FileResult<T = any> extends Result<T> {
+    /** The real path of the file. */
+    path: string;
+    /** The files that the key paths of the data come from if options.defaults is provided. */
+    sources?: { [keyPath: string]: string };
+  }
+
+  /** An item of matter.readDir() for a file that cannot be read. */
+  interface FileError {
+    path: string;
+    error: any;
+  }
+
+  /** The paths to match: glob patterns, regular expressions or functions. */
+  type Patterns = string | RegExp | ((path: string) => boolean) |
+                  Array<string | RegExp | ((path: string) => boolean)>;
+
+  type Callback<R> = (error: any, result: R) => void;
+
+  interface DirOptions extends FileOptions {
+    /** The patterns that the file paths must match. Default: all files */
+    include?: Patterns | null;
+    /** The patterns of the file and directory paths to skip. Default: none */
+    exclude?: Patterns | null;
+    /** The maximum number of files read, and of entries scanned, at the same time. Default: 8 */
+    concurrency?: number;
+  }
+
+  interface WatchOptions extends FileOptions {
+    /** The patterns that the files in directories must match. */
+    include?: Patterns | null;
+    /** The patterns of the files and directories to skip. */
+    exclude?: Patterns | null;
+    /** The milliseconds to wait for more changes. Default: 50 */
+    debounce?: number;
+  }
+
+  interface StreamOptions extends Options {
+    /** Whether to hand back the rest of the input as a stream. */
+    body?: boolean;
+  }
+
+  /** The result of matter.stream(), where src is only the text before the body. */
+  interface StreamResult<T = any> extends Omit<Result<T>, 'body'> {
+    /** The rest of the input, or null if options.body is false. */
+    body: Readable | null;
+  }
+
+  interface HeadResult<T = any> extends StreamResult<T> {
+    /** The real path of the file. */
+    path: string;
+  }
+
+  /** A change of the data from a watcher. */
+  interface DataChange {
+    /** The key path like "tags.0". */
+    path: string;
+    type: 'added' | 'removed' | 'changed';
+    before: any;
+    after: any;
+  }
+
+  interface WatchEvent<T = any> {
+    path: string;
+    before: FileResult<T> | null;
+    after: FileResult<T> | null;
+  }
+
+  interface DataChangedEvent<T = any> extends WatchEvent<T> {
+    before: FileResult<T>;
+    after: FileResult<T>;
+    diff: DataChange[];
+  }
+
+  /** The EventEmitter from matter.watch(). */
+  interface Watcher<T = any> extends EventEmitter {
+    on(event: 'add', listener: (event: WatchEvent<T> & { before: null; after: FileResult<T> }) => void): this;
+    on(event: 'unlink', listener: (event: WatchEvent<T> & { before: FileResult<T>; after: null }) => void): this;
+    on(event: 'data-changed', listener: (event: DataChangedEvent<T>) => void): this;
+    on(event: 'body-changed', listener: (event: WatchEvent<T> & { before: FileResult<T>; after: FileResult<T> }) => void): this;
+    on(event: 'ready', listener: (results: Array<FileResult<T>>) => void): this;
+    on(event: 'error', listener: (error: any) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+    /** Stop watching. No more events will be emitted. */
+    close(): void;
+    /** The current results of the files in the path order. */
+    results(): Array<FileResult<T>>;
+  }
+
+  /** The store of the entries of a cache. */
+  interface CacheStore {
+    get(key: string): any;
+    set(key: string, value: any): void;
+    delete(key: string): void;
+    clear(): void;
+    /** Write the entries, e.g. to a file. */
+    save?(): void;
+  }
+
+  interface CacheOptions {
+    /**
+     * How to tell if a file is changed: 'stat' for the modification time and
+     * the size, or 'hash' for the content. Default: 'stat'
+     */
+    key?: 'stat' | 'hash';
+    /** Default: new matter.Cache.MemoryStore() */
+    store?: CacheStore | null;
+  }
+
+  interface CacheStats {
+    hits: number;
+    misses: number;
+    /** The number of the misses for outdated entries. */
+    invalidated: number;
+  }
+
+  /** A cache of the results of the file readers. */
+  interface Cache {
+    readonly key: 'stat' | 'hash';
+    readonly store: CacheStore;
+    stats(): CacheStats;
+    /** Remove all entries. The statistics are kept. */
+    clear(): this;
+    /** Write the entries if the store can save them. */
+    save(): this;
+  }
+
+  interface CacheConstructor {
+    new (options?: CacheOptions | null): Cache;
+    /** The default store, which keeps the entries in memory. */
+    MemoryStore: new () => CacheStore;
+    /** A store that keeps the entries in a JSON file, which is written by save(). */
+    JsonStore: new (path: string) => CacheStore & { readonly path: string; save(): void };
+  }
+
+  /** The matter() with the file APIs. */
+  interface Matter extends Core {
+    /** Read and parse the file synchronously. */
+    readFileSync<T = any>(path: string, options?: FileOptions | null): FileResult<T>;
+
+    /** Read and parse the file asynchronously. Parsers are allowed to return promises. */
+    readFile<T = any>(path: string, callback: Callback<FileResult<T>>): void;
+    readFile<T = any>(path: string, options: FileOptions | null | undefined,
+                      callback: Callback<FileResult<T>>): void;
+    readFile<T = any>(path: string, options?: FileOptions | null): Promise<FileResult<T>>;
+
+    /** The same as matter.readFile() without a callback. */
+    read<T = any>(path: string, options?: FileOptions | null): Promise<FileResult<T>>;
+
+    /** Read and parse the files in the directory and its subdirectories. */
+    readDir<T = any>(dir: string, callback: Callback<Array<FileResult<T> | FileError>>): void;
+    readDir<T = any>(dir: string, options: DirOptions | null | undefined,
+                     callback: Callback<Array<FileResult<T> | FileError>>): void;
+    readDir<T = any>(dir: string, options?: DirOptions | null): Promise<Array<FileResult<T> | FileError>>;
+
+    /** Watch the files, directories or glob patterns like "posts/**\/*.md". */
+    watch<T = any>(paths: string | string[], options?: WatchOptions | null): Watcher<T>;
+
+    /** Parse the front matter from a readable stream, which is read only until the end of it. */
+    stream<T = any>(input: Readable, callback: Callback<StreamResult<T>>): void;
+    stream<T = any>(input: Readable, options: StreamOptions | null | undefined,
+                    callback: Callback<StreamResult<T>>): void;
+    stream<T = any>(input: Readable, options?: StreamOptions | null): Promise<StreamResult<T>>;
+
+    /** Read and parse the front matter from the start of the file. */
+    readHead<T = any>(path: string, callback: Callback<HeadResult<T>>): void;
+    readHead<T = any>(path: string, options: StreamOptions | null | undefined,
+                      callback: Callback<HeadResult<T>>): void;
+    readHead<T = any>(path: string, options?: StreamOptions | null): Promise<HeadResult<T>>;
+
+    /** Change the front matter data in the file with matter.update(). */
+    updateFileSync<T = any>(path: string, mutator: Mutator<T>, options?: Options | null): FileResult<T>;
+
+    /** Create a cache for the results of the file readers. */
+    cache(options?: CacheOptions | null): Cache;
+
+    Cache: CacheConstructor;
+  }
+}
+
+declare const matter: matter.Matter;
+
+export = matter;
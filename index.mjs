@@ -0,0 +1,4 @@
+// The ES module entry of matter() for node. See index.js.
+import matter from './index.js';
+
+export default matter;
@@ -39,8 +39,10 @@ describe('matter', function () {
     should(matter.parsers).be.Object;
     matter.parsers.should.have.ownProperty('yaml');
     matter.parsers.should.have.ownProperty('toml');
+    matter.parsers.should.have.ownProperty('json');
     should(matter.parsers.yaml).be.Function;
     should(matter.parsers.toml).be.Function;
+    should(matter.parsers.json).be.Function;
   });
   it('[CRLF] matter.modules should expose required modules', function () {
     matter.should.have.ownProperty('modules');
@@ -82,6 +84,59 @@ describe('matter(string, options)', function () {
     });
   });
 
+  describe('matter(_, {strict: true})', function () {
+    it('[CRLF] should throw a MatterError for invalid YAML front matter', function () {
+      var err;
+      try {
+        matter('---\r\nfoo: bar\r\n  baz: qux\r\n---\r\nbaz', {strict: true});
+      } catch (e) {
+        err = e;
+      }
+      should(err).be.instanceof(matter.MatterError);
+      should(err).be.instanceof(Error);
+      err.lang.should.equal('yaml');
+      err.delimiter.should.equal('---');
+      err.reason.should.be.String;
+      err.line.should.equal(3);
+      err.column.should.equal(6);
+    });
+    it('[CRLF] should throw a MatterError for invalid TOML front matter', function () {
+      var err;
+      try {
+        matter('--- toml\r\n\r\nfoo = "bar"\r\nbaz = ?\r\n---\r\nbaz', {strict: true});
+      } catch (e) {
+        err = e;
+      }
+      should(err).be.instanceof(matter.MatterError);
+      err.lang.should.equal('toml');
+      err.line.should.equal(4);
+      err.column.should.equal(7);
+    });
+    it('[CRLF] should keep the position unknown if the custom parser does not report it', function () {
+      var err;
+      try {
+        matter('~~~number\r\n!!\r\n~~~', {
+          strict: true,
+          delims: '~~~',
+          parsers: {number: function () { throw new Error('NaN'); }}
+        });
+      } catch (e) {
+        err = e;
+      }
+      should(err).be.instanceof(matter.MatterError);
+      err.lang.should.equal('number');
+      err.delimiter.should.equal('~~~');
+      err.reason.should.equal('NaN');
+      should(err.line).be.null;
+      should(err.column).be.null;
+    });
+    it('[CRLF] should not throw if the builtin parsers are used with options.loose', function () {
+      var res = matter('---\r\n!!\r\n---', {strict: true, loose: true});
+      normalCheck(res);
+      should(res.data).be.null;
+    });
+  });
+
   describe('format of options', function () {
     it('[CRLF] options.lang should be a string if provided', function () {
       (function () {
@@ -150,6 +205,91 @@ describe('matter(string, options)', function () {
     });
   });
 
+  describe('matter(_, _).loc', function () {
+    it('[CRLF] should report the raw front matter and its language', function () {
+      var res = matter('--- TOML\r\nfoo = "bar"\r\n---\r\nbaz');
+      res.matter.should.equal('foo = "bar"\r');
+      res.lang.should.equal('toml');
+    });
+    it('[CRLF] should report the positions of the front matter parts', function () {
+      var str = '---\r\nfoo: bar\r\n\r\n---\r\nbaz';
+      var res = matter(str);
+      res.loc.open.should.eql({start: 0, end: 3, line: 1});
+      res.loc.data.should.eql({start: 5, end: 16, line: 2});
+      res.loc.close.should.eql({start: 17, end: 20, line: 4});
+      res.loc.body.should.eql({start: 22, end: str.length, line: 5});
+      str.substr(res.loc.body.start).should.equal(res.body);
+    });
+  });
+
+  describe('matter(_, {braces: ?})', function () {
+    it('[CRLF] should extract the JSON front matter from the string', function () {
+      var res = matter('---json\r\n{"foo": "bar"}\r\n---\r\nbaz');
+      checkFooBarBaz(res, 'foo', 'bar', 'baz');
+    });
+    it('[CRLF] should extract the JSON object at the start if options.braces is true', function () {
+      var str = '{\r\n  "foo": "bar"\r\n}\r\nbaz';
+      var res = matter(str, {braces: true});
+      checkFooBarBaz(res, 'foo', 'bar', 'baz');
+      res.lang.should.equal('json');
+      res.matter.should.equal('{\r\n  "foo": "bar"\r\n}');
+      matter.test(str, {braces: true}).should.be.true;
+      matter.test(str).should.be.false;
+    });
+    it('[CRLF] should skip braces in JSON strings', function () {
+      var res = matter('{"foo": "}\\"{"} \r\nbaz', {braces: true});
+      normalCheck(res);
+      res.body.should.equal('baz');
+      res.data.should.eql({foo: '}"{'});
+    });
+    it('[CRLF] should still accept delimiters if options.braces is true', function () {
+      var res = matter('---\r\nfoo: bar\r\n---\r\nbaz', {braces: true});
+      checkFooBarBaz(res, 'foo', 'bar', 'baz');
+    });
+    it('[CRLF] should not accept strange characters after the object unless options.loose is true', function () {
+      var str = '{"foo": "bar"}baz';
+      matter(str, {braces: true}).body.should.equal(str);
+      matter.test(str, {braces: true}).should.be.false;
+      checkFooBarBaz(matter(str, {braces: true, loose: true}), 'foo', 'bar', 'baz');
+      matter.test('{"foo": "bar"', {braces: true, loose: true}).should.be.false;
+    });
+    it('[CRLF] should report the position of invalid JSON front matter', function () {
+      var err;
+      try {
+        matter('{\r\n  "foo": bar\r\n}', {braces: true, strict: true});
+      } catch (e) {
+        err = e;
+      }
+      should(err).be.instanceof(matter.MatterError);
+      err.lang.should.equal('json');
+      err.delimiter.should.equal('{');
+      err.line.should.equal(2);
+      err.column.should.equal(10);
+    });
+  });
+
+  describe('matter(_, _).eol', function () {
+    it('[CRLF] should report the line ending and the byte-order mark', function () {
+      var res = matter('\uFEFF---\r\nfoo: bar\r\n---\r\nbaz');
+      res.eol.should.equal('\r\n');
+      res.bom.should.be.true;
+      res = matter('foo\r\nbar\nbaz');
+      res.eol.should.equal('\r\n');
+      res.bom.should.be.false;
+    });
+    it('[CRLF] should pass the data with LF line endings to the parsers', function () {
+      var res = matter('---\r\nfoo: bar\r\nbaz: qux\r\n---\r\n', {
+        parsers: function (s) { return s; }
+      });
+      res.data.should.equal('foo: bar\nbaz: qux');
+      res.matter.should.equal('foo: bar\r\nbaz: qux\r');
+    });
+    it('[CRLF] should keep multi-line strings free of carriage returns', function () {
+      var res = matter('---toml\r\nfoo = \"\"\"\r\nbar\r\nbaz\"\"\"\r\n---\r\n');
+      res.data.foo.should.equal('bar\nbaz');
+    });
+  });
+
   describe('matter(_, {lang: ?})', function () {
     it('[CRLF] should choose a parser according to options.lang if options.parsers is not a function #1', function () {
       var res = matter('---\r\nfoo: bar\r\n---\r\nbaz', {lang: 'yaml'});
@@ -188,6 +328,70 @@ describe('matter(string, options)', function () {
     });
   });
 
+  describe('matter(_, {delims: [profiles]})', function () {
+    var profiles = [
+      {delims: '---', lang: 'yaml'},
+      {delims: ['+++', '+++'], lang: 'toml'},
+      {delims: [';;;'], lang: 'json'},
+      {delims: '~~~'}
+    ];
+    it('[CRLF] should use the language of the first matched profile', function () {
+      var res = matter('---\r\nfoo: bar\r\n---\r\nbaz', {delims: profiles});
+      checkFooBarBaz(res, 'foo', 'bar', 'baz');
+      res.profile.should.eql({delims: ['---', '---'], lang: 'yaml'});
+      res = matter('+++\r\nfoo = "bar"\r\n+++\r\nbaz', {delims: profiles});
+      checkFooBarBaz(res, 'foo', 'bar', 'baz');
+      res.profile.should.eql({delims: ['+++', '+++'], lang: 'toml'});
+      res = matter(';;;\r\n{"foo": "bar"}\r\n;;;\r\nbaz', {delims: profiles});
+      checkFooBarBaz(res, 'foo', 'bar', 'baz');
+      res.lang.should.equal('json');
+    });
+    it('[CRLF] should fall back to options.lang for profiles without languages', function () {
+      var res = matter('~~~\r\nfoo = "bar"\r\n~~~\r\nbaz', {delims: profiles, lang: 'toml'});
+      checkFooBarBaz(res, 'foo', 'bar', 'baz');
+      res.profile.should.eql({delims: ['~~~', '~~~'], lang: null});
+    });
+    it('[CRLF] should let the language after the delimiter override the profile', function () {
+      var res = matter('+++yaml\r\nfoo: bar\r\n+++\r\nbaz', {delims: profiles});
+      checkFooBarBaz(res, 'foo', 'bar', 'baz');
+    });
+    it('[CRLF] should accept matter.profiles', function () {
+      var res = matter('+++\r\nfoo = "bar"\r\n+++\r\nbaz', {delims: matter.profiles});
+      checkFooBarBaz(res, 'foo', 'bar', 'baz');
+    });
+    it('[CRLF] should report no profile if front matter is not found', function () {
+      var res = matter('***\r\nfoo: bar\r\n***\r\nbaz', {delims: profiles});
+      should(res.profile).be.null;
+      res.body.should.equal(res.src);
+    });
+    it('[CRLF] matter.test should accept the profiles', function () {
+      matter.test('+++\r\n+++', {delims: profiles}).should.be.true;
+      matter.test('***\r\n***', {delims: profiles}).should.be.false;
+      matter.test('+++\r\n+++', {delims: [{delims: false}]}).should.be.false;
+    });
+    it('[CRLF] should throw an error for invalid profiles', function () {
+      (function () {
+        matter('foobar', {delims: ['---', {delims: '+++'}]});
+      }).should.throw(Error);
+      (function () {
+        matter('foobar', {delims: [{delims: '+++', lang: 1}]});
+      }).should.throw(Error);
+    });
+  });
+
+  describe('matter(_, {delims: [comment profiles]})', function () {
+    it('[CRLF] should strip the comment syntax and keep the body', function () {
+      var opts = {delims: matter.comments};
+      checkFooBarBaz(matter('/* ---\r\n * foo: bar\r\n * --- */\r\nbaz', opts), 'foo', 'bar', 'baz');
+      checkFooBarBaz(matter('<!--\r\n---\r\nfoo: bar\r\n---\r\n-->\r\nbaz', opts), 'foo', 'bar', 'baz');
+      var str = '#!/bin/sh\r\n# ---\r\n# foo: bar\r\n# ---\r\necho\r\n';
+      matter(str, opts).body.should.equal('echo\r\n');
+      matter.update(str, function (data) {
+        data.foo = 'qux';
+      }, opts).should.equal('#!/bin/sh\r\n# ---\r\n# foo: qux\r\n# ---\r\necho\r\n');
+    });
+  });
+
   describe('matter(_, {parsers: ?})', function () {
     it('[CRLF] should use the custom parser to parse YAML front matter', function () {
       var res = matter('---\r\n10\r\n---\r\nok', {
@@ -243,6 +447,43 @@ describe('matter(string, options)', function () {
     });
   });
 
+  describe('matter(_, {multiple: true})', function () {
+    it('[CRLF] should read consecutive blocks separated by blank lines', function () {
+      var res = matter('+++\r\nid = 1\r\n+++\r\n\r\n---\r\ntitle: B\r\n---\r\nbaz', {
+        multiple: true,
+        delims: matter.profiles
+      });
+      normalCheck(res);
+      res.body.should.equal('baz');
+      res.data.should.eql({id: 1, title: 'B'});
+      res.blocks[1].matter.should.equal('title: B\r');
+      res.blocks[1].loc.open.line.should.equal(5);
+    });
+  });
+
+  describe('matter(_, {excerpt: ?})', function () {
+    var str = '---\r\ntitle: A\r\n---\r\n\r\nThe first\r\nparagraph.\r\n \r\nMore.\r\n<!-- more -->\r\nThe rest.';
+    it('[CRLF] should take the text before the separator', function () {
+      var res = matter(str, {excerpt: '<!-- more -->', stripSeparator: true});
+      normalCheck(res);
+      res.excerpt.should.equal('The first\r\nparagraph.\r\n \r\nMore.');
+      res.body.should.equal('\r\nThe first\r\nparagraph.\r\n \r\nMore.\r\nThe rest.');
+    });
+    it('[CRLF] should take the first paragraph if options.excerpt is true', function () {
+      matter(str, {excerpt: true}).excerpt.should.equal('The first\r\nparagraph.');
+      matter('---\r\n---\r\nOne line\r\n', {excerpt: true}).excerpt.should.equal('One line');
+    });
+    it('[CRLF] should work with options.loose', function () {
+      var res = matter('----\r\n10\r\n----\r\nbaz\r\n\r\nqux', {
+        loose: true,
+        parsers: function (s) { return parseInt(s, 10) + 1; },
+        excerpt: true
+      });
+      res.excerpt.should.equal('-\r\nbaz');
+      should(res.data).equal(11);
+    });
+  });
+
   describe('matter(_, {loose: true})', function () {
     it('[CRLF] should extract front matter between ambiguous delimiters', function () {
       var res = matter('----\r\n10\r\n----', {
@@ -283,6 +524,52 @@ describe('matter.test(string, options)', function () {
 });
 
 
+describe('matter.stringify(body, data, options)', function () {
+  it('[CRLF] should write the front matter with options.eol and options.bom', function () {
+    var str = matter.stringify('baz\r\n', {foo: 'bar', qux: {a: 1}}, {lang: 'toml', eol: '\r\n', bom: true});
+    str.should.equal('\uFEFF---toml\r\nfoo = "bar"\r\n\r\n[qux]\r\na = 1\r\n---\r\nbaz\r\n');
+    var res = matter(str);
+    res.bom.should.be.true;
+    res.eol.should.equal('\r\n');
+    matter.stringify(res.body, res.data, res).should.equal(str);
+  });
+  it('[CRLF] options.eol should be LF or CRLF', function () {
+    (function () {
+      matter.stringify('', {}, {eol: '\r'});
+    }).should.throw(Error);
+  });
+});
+
+describe('matter.update(string, mutator, options)', function () {
+  it('[CRLF] should keep the line endings and the byte-order mark', function () {
+    var str = '\uFEFF--- yaml \r\nfoo: bar\r\nqux: 1\r\n---  \r\nbody\r\n';
+    matter.update(str, function (data) {
+      data.foo = 'baz';
+      data.quux = 2;
+    }).should.equal('\uFEFF--- yaml \r\nfoo: baz\r\nqux: 1\r\nquux: 2\r\n---  \r\nbody\r\n');
+  });
+  it('[CRLF] should keep the line endings of TOML front matter', function () {
+    var str = '---toml\r\nfoo = "bar"\r\n\r\n[a]\r\nb = 1\r\n---\r\nbody';
+    matter.update(str, function (data) {
+      data.a.b = 2;
+      data.c = true;
+    }).should.equal('---toml\r\nfoo = "bar"\r\nc = true\r\n\r\n[a]\r\nb = 2\r\n---\r\nbody');
+  });
+  it('[CRLF] should add front matter with the line ending of the string', function () {
+    matter.update('\uFEFFbaz\r\n', function (data) {
+      data.foo = 'bar';
+    }).should.equal('\uFEFF---\r\nfoo: bar\r\n---\r\nbaz\r\n');
+  });
+  it('[CRLF] should keep the line endings when the whole block is rewritten', function () {
+    matter.update('{\r\n"foo": 1}\r\nbody', function (data) {
+      data.foo = 2;
+    }, {braces: true}).should.equal('{\r\n  "foo": 2\r\n}\r\nbody');
+    matter.update('---\r\n---\r\nbody', function (data) {
+      data.foo = 2;
+    }).should.equal('---\r\nfoo: 2\r\n---\r\nbody');
+  });
+});
+
 describe('matter.readFileSync(path, options)', function () {
   for (var i = 1; i <= 8; i++) {
     (function (i) {
@@ -328,10 +615,37 @@ describe('matter.readFileSync(path, options)', function () {
       });
     })(i);
   }
+  for (var i = 1; i <= 2; i++) {
+    (function (i) {
+      it('[CRLF] should throw a MatterError for invalid front matter if options.strict is true #' + i, function () {
+        var path = fixtures + 'bad-matter-' + i + '-crlf.txt';
+        var err;
+        try {
+          matter.readFileSync(path, {strict: true});
+        } catch (e) {
+          err = e;
+        }
+        should(err).be.instanceof(matter.MatterError);
+        err.path.should.equal(fs.realpathSync(path));
+        err.line.should.equal(i + 2);
+      });
+    })(i);
+  }
 });
 
 
 describe('matter.readFile(path, options, callback)', function () {
+  it('[CRLF] should validate the data against options.schema', function (done) {
+    matter.readFile(fixtures + 'foo-matter-1-crlf.txt', {
+      strict: true,
+      schema: {properties: {foo: {type: 'array'}}}
+    }, function (err, res) {
+      should(!err).be.true;
+      res.data.should.eql({foo: ['bar']});
+      res.errors.should.eql([]);
+      done();
+    });
+  });
   for (var i = 1; i <= 8; i++) {
     (function (i) {
       it('[CRLF] should have no front matter #' + i, function (done) {
@@ -376,4 +690,126 @@ describe('matter.readFile(path, options, callback)', function () {
       });
     })(i);
   }
+  for (var i = 1; i <= 2; i++) {
+    (function (i) {
+      it('[CRLF] should pass a MatterError for invalid front matter if options.strict is true #' + i, function (done) {
+        var path = fixtures + 'bad-matter-' + i + '-crlf.txt';
+        matter.readFile(path, {strict: true}, function (err, res) {
+          should(err).be.instanceof(matter.MatterError);
+          err.path.should.equal(fs.realpathSync(path));
+          err.line.should.equal(i + 2);
+          should(res).be.null;
+          done();
+        });
+      });
+    })(i);
+  }
+});
+
+
+describe('matter.read(path, options)', function () {
+  for (var i = 1; i <= 2; i++) {
+    (function (i) {
+      it('[CRLF] should resolve front matter #' + i, function () {
+        var path = fixtures + 'foo-matter-' + i + '-crlf.txt';
+        return matter.read(path).then(function (res) {
+          checkFooBarBaz(res, 'foo', 'bar', 'baz\r\n');
+          res.path.should.equal(fs.realpathSync(path));
+        });
+      });
+    })(i);
+  }
+  it('[CRLF] should return a promise from matter.readFile if no callback is provided', function () {
+    var path = fixtures + 'foo-matter-1-crlf.txt';
+    var promise = matter.readFile(path, null);
+    should(promise.then).be.Function;
+    return promise.then(function (res) {
+      checkFooBarBaz(res, 'foo', 'bar', 'baz\r\n');
+    });
+  });
+  it('[CRLF] should wait for the parsers returning promises', function () {
+    var path = fixtures + 'foo-matter-1-crlf.txt';
+    return matter.read(path, {
+      parsers: function (s, opts) {
+        return Promise.resolve(matter.parsers.yaml(s, opts));
+      }
+    }).then(function (res) {
+      checkFooBarBaz(res, 'foo', 'bar', 'baz\r\n');
+    });
+  });
+  it('[CRLF] should reject with a MatterError if the parser rejects and options.strict is true', function () {
+    var path = fixtures + 'foo-matter-1-crlf.txt';
+    return matter.read(path, {
+      strict: true,
+      parsers: function () { return Promise.reject(new Error('oops')); }
+    }).then(function () {
+      throw new Error('should not resolve');
+    }, function (err) {
+      should(err).be.instanceof(matter.MatterError);
+      err.reason.should.equal('oops');
+      err.path.should.equal(fs.realpathSync(path));
+    });
+  });
+  it('[CRLF] should resolve null data if the parser rejects with a syntax error and options.strict is false', function () {
+    var path = fixtures + 'foo-matter-1-crlf.txt';
+    return matter.read(path, {
+      parsers: function () { return Promise.reject(new SyntaxError('oops')); }
+    }).then(function (res) {
+      normalCheck(res, true);
+      should(res.data).be.null;
+    });
+  });
+});
+
+
+describe('matter.readHead(path, options, callback)', function () {
+  var readAll = function (stream, callback) {
+    var chunks = [];
+    stream.on('data', function (chunk) { chunks.push(chunk); });
+    stream.on('end', function () { callback(Buffer.concat(chunks).toString('utf8')); });
+  };
+  [ ['no-matter-', 8, {}]
+  , ['foo-matter-', 2, {}]
+  , ['loose-matter-', 2, {loose: true, parsers: matter.parsers.yaml}]
+  ].forEach(function (v) {
+    for (var i = 1; i <= v[1]; i++) {
+      (function (path) {
+        it('[CRLF] should give the same result as matter.readFileSync for ' + path, function (done) {
+          var expected = matter.readFileSync(fixtures + path, v[2]);
+          var opts = {body: true};
+          for (var key in v[2]) {
+            opts[key] = v[2][key];
+          }
+          matter.readHead(fixtures + path, opts, function (err, res) {
+            should(!err).be.true;
+            should(res.data).eql(expected.data);
+            should(res.matter).equal(expected.matter);
+            should(res.lang).equal(expected.lang);
+            res.path.should.equal(expected.path);
+            res.src.should.equal(expected.src.substr(0, expected.src.length - expected.body.length));
+            readAll(res.body, function (body) {
+              body.should.equal(expected.body);
+              done();
+            });
+          });
+        });
+      })(v[0] + i + '-crlf.txt');
+    }
+  });
+  it('[CRLF] should not hand back the body by default', function () {
+    return matter.readHead(fixtures + 'foo-matter-1-crlf.txt').then(function (res) {
+      should(res.body).be.null;
+      res.data.should.eql({foo: 'bar'});
+    });
+  });
+  it('[CRLF] should pass a MatterError if options.strict is true', function (done) {
+    var path = fixtures + 'bad-matter-1-crlf.txt';
+    matter.readHead(path, {strict: true}, function (err, res) {
+      should(err).be.instanceof(matter.MatterError);
+      err.path.should.equal(fs.realpathSync(path));
+      err.line.should.equal(3);
+      should(res).be.null;
+      done();
+    });
+  });
 });
@@ -39,8 +39,10 @@ describe('matter', function () {
     should(matter.parsers).be.Object;
     matter.parsers.should.have.ownProperty('yaml');
     matter.parsers.should.have.ownProperty('toml');
+    matter.parsers.should.have.ownProperty('json');
     should(matter.parsers.yaml).be.Function;
     should(matter.parsers.toml).be.Function;
+    should(matter.parsers.json).be.Function;
   });
   it('matter.modules should expose required modules', function () {
     matter.should.have.ownProperty('modules');
@@ -50,6 +52,89 @@ describe('matter', function () {
     should(matter.modules.yaml).be.ok;
     should(matter.modules.toml).be.ok;
   });
+  it('should be required by the paths of the package', function () {
+    // A package can require itself by its name through "exports" since node 12.16.
+    var version = process.versions.node.split('.').map(Number);
+    if (version[0] < 12 || (version[0] === 12 && version[1] < 16)) {
+      this.skip();
+    }
+    require('meta-matter').should.equal(matter);
+    require('meta-matter/index').should.equal(matter);
+    require('meta-matter/index.js').should.equal(matter);
+    require('meta-matter/core').should.equal(matter);
+  });
+});
+
+
+describe('core.js', function () {
+  var vm = require('vm');
+  // Run the code without the modules and globals of node.
+  var load = function (context, file) {
+    var module = {exports: {}};
+    var code = fs.readFileSync(__dirname + '/../' + file, 'utf8');
+    vm.runInContext('(function (module, exports, require) {' + code + '\n})', context)(
+      module, module.exports, function (name) {
+        if (name === './collection') {
+          return load(context, 'collection.js');
+        }
+        throw new Error('Cannot find module ' + name);
+      });
+    return module.exports;
+  };
+  var core;
+  beforeEach(function () {
+    core = load(vm.createContext({}), 'core.js');
+  });
+  it('should not have the file APIs', function () {
+    should(core.readFileSync).be.undefined;
+    should(core.readFile).be.undefined;
+    should(core.watch).be.undefined;
+    should(core.create().readFile).be.undefined;
+    core('---\nfoo: bar\n---\nbaz', {lang: 'json', loose: true}).body.should.equal('baz');
+    core.test('---\nfoo: bar\n---\nbaz').should.be.true;
+  });
+  it('should throw an error until the modules are provided', function () {
+    should(core.modules.yaml).be.null;
+    should(core.modules.toml).be.null;
+    [{}, {strict: true}].forEach(function (opts) {
+      try {
+        core('---\nfoo: bar\n---\nbaz', opts);
+        throw new Error('No error is thrown.');
+      } catch (err) {
+        err.code.should.equal('MODULE_NOT_FOUND');
+      }
+    });
+    core('---json\n{"foo": "bar"}\n---\nbaz').data.foo.should.equal('bar');
+    core.modules.yaml = matter.modules.yaml;
+    core('---\nfoo: bar\n---\nbaz').data.foo.should.equal('bar');
+  });
+  it('should give the same results as in node', function () {
+    core.modules.yaml = matter.modules.yaml;
+    core.modules.toml = matter.modules.toml;
+    var outcome = function (fn, input, opts) {
+      try {
+        return JSON.stringify(fn(input, opts));
+      } catch (err) {
+        return 'Error: ' + err.message;
+      }
+    };
+    var options = [
+      {}, {loose: true}, {braces: true}, {multiple: true}, {strict: true},
+      {delims: matter.profiles}, {delims: matter.comments}, {schema: {type: 'object'}}
+    ];
+    fs.readdirSync(fixtures).filter(function (name) {
+      return /\.txt$/.test(name);
+    }).forEach(function (name) {
+      var buffer = fs.readFileSync(fixtures + name);
+      var inputs = [buffer, new Uint8Array(buffer), buffer.toString('utf8')];
+      options.forEach(function (opts) {
+        inputs.forEach(function (input) {
+          outcome(core, input, opts).should.equal(outcome(matter, input, opts));
+          core.test(input, opts).should.equal(matter.test(input, opts));
+        });
+      });
+    });
+  });
 });
 
 
@@ -73,6 +158,13 @@ describe('matter(string, options)', function () {
         should(res.data).be.null;
       }).should.not.throw();
     });
+    it('should pass the errors of custom parsers other than syntax errors', function () {
+      (function () {
+        matter('---\nfoo\n---', {parsers: function () { throw new TypeError('bug'); }});
+      }).should.throw(TypeError, {message: 'bug'});
+      var res = matter('---\nfoo\n---', {parsers: function () { throw new SyntaxError('foo'); }});
+      should(res.data).be.null;
+    });
     it('builtin TOML parser should return null for invalid front matter', function () {
       (function () {
         var res = matter('---toml\n!!\n---');
@@ -82,6 +174,59 @@ describe('matter(string, options)', function () {
     });
   });
 
+  describe('matter(_, {strict: true})', function () {
+    it('should throw a MatterError for invalid YAML front matter', function () {
+      var err;
+      try {
+        matter('---\nfoo: bar\n  baz: qux\n---\nbaz', {strict: true});
+      } catch (e) {
+        err = e;
+      }
+      should(err).be.instanceof(matter.MatterError);
+      should(err).be.instanceof(Error);
+      err.lang.should.equal('yaml');
+      err.delimiter.should.equal('---');
+      err.reason.should.be.String;
+      err.line.should.equal(3);
+      err.column.should.equal(6);
+    });
+    it('should throw a MatterError for invalid TOML front matter', function () {
+      var err;
+      try {
+        matter('--- toml\n\nfoo = "bar"\nbaz = ?\n---\nbaz', {strict: true});
+      } catch (e) {
+        err = e;
+      }
+      should(err).be.instanceof(matter.MatterError);
+      err.lang.should.equal('toml');
+      err.line.should.equal(4);
+      err.column.should.equal(7);
+    });
+    it('should keep the position unknown if the custom parser does not report it', function () {
+      var err;
+      try {
+        matter('~~~number\n!!\n~~~', {
+          strict: true,
+          delims: '~~~',
+          parsers: {number: function () { throw new Error('NaN'); }}
+        });
+      } catch (e) {
+        err = e;
+      }
+      should(err).be.instanceof(matter.MatterError);
+      err.lang.should.equal('number');
+      err.delimiter.should.equal('~~~');
+      err.reason.should.equal('NaN');
+      should(err.line).be.null;
+      should(err.column).be.null;
+    });
+    it('should not throw if the builtin parsers are used with options.loose', function () {
+      var res = matter('---\n!!\n---', {strict: true, loose: true});
+      normalCheck(res);
+      should(res.data).be.null;
+    });
+  });
+
   describe('format of options', function () {
     it('options.lang should be a string if provided', function () {
       (function () {
@@ -150,6 +295,98 @@ describe('matter(string, options)', function () {
     });
   });
 
+  describe('matter(_, _).loc', function () {
+    it('should report the line ending and the byte-order mark', function () {
+      var res = matter('---\nfoo: bar\r\n---\r\nbaz');
+      res.eol.should.equal('\n');
+      res.bom.should.be.false;
+      matter('\uFEFF').bom.should.be.true;
+    });
+    it('should report nothing if front matter is not found', function () {
+      var res = matter('foobar');
+      should(res.matter).be.null;
+      should(res.lang).be.null;
+      should(res.loc).be.null;
+    });
+    it('should report the raw front matter and its language', function () {
+      var res = matter('--- TOML\nfoo = "bar"\n---\nbaz');
+      res.matter.should.equal('foo = "bar"');
+      res.lang.should.equal('toml');
+      res = matter('---\n---\nbaz', {lang: 'toml'});
+      res.matter.should.equal('');
+      res.lang.should.equal('toml');
+    });
+    it('should report the positions of the front matter parts', function () {
+      var str = '---\nfoo: bar\n\n---\nbaz';
+      var res = matter(str);
+      res.loc.open.should.eql({start: 0, end: 3, line: 1});
+      res.loc.data.should.eql({start: 4, end: 13, line: 2});
+      res.loc.close.should.eql({start: 14, end: 17, line: 4});
+      res.loc.body.should.eql({start: 18, end: str.length, line: 5});
+      str.substr(res.loc.body.start).should.equal(res.body);
+    });
+    it('should report the positions relative to the string without BOM', function () {
+      var res = matter('\uFEFF~~~\nfoo: bar\n^^^baz', {loose: true, delims: ['~~~', '^^^']});
+      res.loc.data.should.eql({start: 4, end: 12, line: 2});
+      res.loc.close.should.eql({start: 13, end: 16, line: 3});
+      res.loc.body.should.eql({start: 16, end: 19, line: 3});
+    });
+    it('should report the string indices rather than the byte offsets', function () {
+      var bytes = Buffer.from('\uFEFF---\nfoo: b\u00E4r \uD83D\uDE00\n---\nbaz', 'utf8');
+      var res = matter(bytes);
+      res.loc.close.should.eql({start: 16, end: 19, line: 3});
+      var offset = Buffer.byteLength((res.bom ? '\uFEFF' : '') + res.src.slice(0, res.loc.close.start));
+      offset.should.equal(22);
+      bytes.toString('utf8', offset, offset + 3).should.equal('---');
+    });
+  });
+
+  describe('matter(_, {braces: ?})', function () {
+    it('should extract the JSON front matter from the string', function () {
+      var res = matter('---json\n{"foo": "bar"}\n---\nbaz');
+      checkFooBarBaz(res, 'foo', 'bar', 'baz');
+    });
+    it('should extract the JSON object at the start if options.braces is true', function () {
+      var str = '{\n  "foo": "bar"\n}\nbaz';
+      var res = matter(str, {braces: true});
+      checkFooBarBaz(res, 'foo', 'bar', 'baz');
+      res.lang.should.equal('json');
+      res.matter.should.equal('{\n  "foo": "bar"\n}');
+      matter.test(str, {braces: true}).should.be.true;
+      matter.test(str).should.be.false;
+    });
+    it('should skip braces in JSON strings', function () {
+      var res = matter('{"foo": "}\\"{"} \nbaz', {braces: true});
+      normalCheck(res);
+      res.body.should.equal('baz');
+      res.data.should.eql({foo: '}"{'});
+    });
+    it('should still accept delimiters if options.braces is true', function () {
+      var res = matter('---\nfoo: bar\n---\nbaz', {braces: true});
+      checkFooBarBaz(res, 'foo', 'bar', 'baz');
+    });
+    it('should not accept strange characters after the object unless options.loose is true', function () {
+      var str = '{"foo": "bar"}baz';
+      matter(str, {braces: true}).body.should.equal(str);
+      matter.test(str, {braces: true}).should.be.false;
+      checkFooBarBaz(matter(str, {braces: true, loose: true}), 'foo', 'bar', 'baz');
+      matter.test('{"foo": "bar"', {braces: true, loose: true}).should.be.false;
+    });
+    it('should report the position of invalid JSON front matter', function () {
+      var err;
+      try {
+        matter('{\n  "foo": bar\n}', {braces: true, strict: true});
+      } catch (e) {
+        err = e;
+      }
+      should(err).be.instanceof(matter.MatterError);
+      err.lang.should.equal('json');
+      err.delimiter.should.equal('{');
+      err.line.should.equal(2);
+      err.column.should.equal(10);
+    });
+  });
+
   describe('matter(_, {lang: ?})', function () {
     it('should choose a parser according to options.lang if options.parsers is not a function #1', function () {
       var res = matter('---\nfoo: bar\n---\nbaz', {lang: 'yaml'});
@@ -188,6 +425,122 @@ describe('matter(string, options)', function () {
     });
   });
 
+  describe('matter(_, {delims: [profiles]})', function () {
+    var profiles = [
+      {delims: '---', lang: 'yaml'},
+      {delims: ['+++', '+++'], lang: 'toml'},
+      {delims: [';;;'], lang: 'json'},
+      {delims: '~~~'}
+    ];
+    it('should use the language of the first matched profile', function () {
+      var res = matter('---\nfoo: bar\n---\nbaz', {delims: profiles});
+      checkFooBarBaz(res, 'foo', 'bar', 'baz');
+      res.profile.should.eql({delims: ['---', '---'], lang: 'yaml'});
+      res = matter('+++\nfoo = "bar"\n+++\nbaz', {delims: profiles});
+      checkFooBarBaz(res, 'foo', 'bar', 'baz');
+      res.profile.should.eql({delims: ['+++', '+++'], lang: 'toml'});
+      res = matter(';;;\n{"foo": "bar"}\n;;;\nbaz', {delims: profiles});
+      checkFooBarBaz(res, 'foo', 'bar', 'baz');
+      res.lang.should.equal('json');
+    });
+    it('should fall back to options.lang for profiles without languages', function () {
+      var res = matter('~~~\nfoo = "bar"\n~~~\nbaz', {delims: profiles, lang: 'toml'});
+      checkFooBarBaz(res, 'foo', 'bar', 'baz');
+      res.profile.should.eql({delims: ['~~~', '~~~'], lang: null});
+    });
+    it('should let the language after the delimiter override the profile', function () {
+      var res = matter('+++yaml\nfoo: bar\n+++\nbaz', {delims: profiles});
+      checkFooBarBaz(res, 'foo', 'bar', 'baz');
+    });
+    it('should accept matter.profiles', function () {
+      var res = matter('+++\nfoo = "bar"\n+++\nbaz', {delims: matter.profiles});
+      checkFooBarBaz(res, 'foo', 'bar', 'baz');
+    });
+    it('should report no profile if front matter is not found', function () {
+      var res = matter('***\nfoo: bar\n***\nbaz', {delims: profiles});
+      should(res.profile).be.null;
+      res.body.should.equal(res.src);
+    });
+    it('matter.test should accept the profiles', function () {
+      matter.test('+++\n+++', {delims: profiles}).should.be.true;
+      matter.test('***\n***', {delims: profiles}).should.be.false;
+      matter.test('+++\n+++', {delims: [{delims: false}]}).should.be.false;
+    });
+    it('should throw an error for invalid profiles', function () {
+      (function () {
+        matter('foobar', {delims: ['---', {delims: '+++'}]});
+      }).should.throw(Error);
+      (function () {
+        matter('foobar', {delims: [{delims: '+++', lang: 1}]});
+      }).should.throw(Error);
+    });
+  });
+
+  describe('matter(_, {delims: [comment profiles]})', function () {
+    var opts = {delims: matter.comments};
+    it('should strip the comment syntax around and inside the block', function () {
+      var res = matter('/* ---\n * foo: bar\n * list:\n *   - 1\n * --- */\nbaz', opts);
+      res.data.should.eql({foo: 'bar', list: [1]});
+      res.body.should.equal('baz');
+      res.matter.should.equal('foo: bar\nlist:\n  - 1');
+      res.profile.should.eql({delims: ['---', '---'], lang: null, comment: {open: '/*', close: '*/', prefix: '*'}});
+      res.loc.open.should.eql({start: 0, end: 6, line: 1});
+      res.loc.close.should.eql({start: 37, end: 46, line: 5});
+    });
+    it('should accept the comment markers on their own lines', function () {
+      checkFooBarBaz(matter('/**\n * ---\n * foo: bar\n * ---\n */\nbaz', opts), 'foo', 'bar', 'baz');
+      checkFooBarBaz(matter('<!--\n---\nfoo: bar\n---\n-->\nbaz', opts), 'foo', 'bar', 'baz');
+      checkFooBarBaz(matter('<!-- ---\nfoo: bar\n--- -->\nbaz', opts), 'foo', 'bar', 'baz');
+    });
+    it('should read line comments after a shebang line', function () {
+      var str = '#!/bin/sh\n# ---\n# foo: bar\n#\n# ---\necho baz\n';
+      var res = matter(str, opts);
+      res.data.should.eql({foo: 'bar'});
+      res.body.should.equal('echo baz\n');
+      res.loc.open.should.eql({start: 10, end: 15, line: 2});
+      res.loc.body.start.should.equal(35);
+      str.slice(res.loc.body.start).should.equal(res.body);
+      checkFooBarBaz(matter('// ---toml\n// foo = "bar"\n// ---\nbaz', opts), 'foo', 'bar', 'baz');
+    });
+    it('should ignore comments that are not closed properly', function () {
+      var strs = [
+        '/* ---\n * foo: bar\n */\nbaz',
+        '/* ---\n * foo: bar\n * --- */ baz',
+        '# ---\n# foo: bar\nbaz\n# ---\n',
+        '<!-- ---\nfoo: bar\n---\nbaz -->'
+      ];
+      strs.forEach(function (str) {
+        var res = matter(str, opts);
+        should(res.data).be.null;
+        res.body.should.equal(str);
+      });
+      matter.test(strs[0], opts).should.be.false;
+      matter.test('# ---\n# ---\n', opts).should.be.true;
+    });
+    it('should report the location of an error in the comment', function () {
+      var err;
+      try {
+        matter('/* ---\n * foo: bar\n * baz: [\n * --- */\n', {delims: matter.comments, strict: true});
+      } catch (e) {
+        err = e;
+      }
+      should(err).be.instanceof(matter.MatterError);
+      err.line.should.equal(3);
+      err.column.should.equal(10);
+    });
+    it('should throw an error for invalid comment syntax', function () {
+      (function () {
+        matter('foobar', {delims: [{delims: '---', comment: {open: '/*'}}]});
+      }).should.throw(Error);
+      (function () {
+        matter('foobar', {delims: [{delims: '---', comment: {}}]});
+      }).should.throw(Error);
+      (function () {
+        matter('foobar', {delims: [{delims: '---', comment: '#'}]});
+      }).should.throw(Error);
+    });
+  });
+
   describe('matter(_, {parsers: ?})', function () {
     it('should use the custom parser to parse YAML front matter', function () {
       var res = matter('---\n10\n---\nok', {
@@ -243,6 +596,288 @@ describe('matter(string, options)', function () {
     });
   });
 
+  describe('matter(_, {schema: ?})', function () {
+    var schema = {
+      type: 'object',
+      required: ['title'],
+      properties: {
+        title: {type: 'string', minLength: 1},
+        date: {type: 'date'},
+        draft: {type: 'boolean', 'default': false},
+        tags: {type: 'array', items: {type: 'string'}, 'default': []},
+        weight: {type: 'integer', minimum: 0},
+        layout: {'enum': ['post', 'page']},
+        author: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {name: {type: 'string'}}
+        }
+      }
+    };
+    it('should fill defaults and coerce values', function () {
+      var res = matter('---\ntitle: 42\ndate: "2015-03-01"\ntags: foo\nweight: "3"\n---\nbaz', {schema: schema});
+      res.errors.should.eql([]);
+      res.data.title.should.equal('42');
+      res.data.date.should.be.instanceof(Date);
+      res.data.date.getTime().should.equal(Date.UTC(2015, 2, 1));
+      res.data.tags.should.eql(['foo']);
+      res.data.weight.should.equal(3);
+      res.data.draft.should.be.false;
+      res.body.should.equal('baz');
+    });
+    it('should collect errors with key paths', function () {
+      var res = matter('---\ntags: [a, [b]]\nweight: -1\nlayout: home\nauthor: {name: Jak, mail: x}\n---\n', {schema: schema});
+      res.errors.map(function (error) { return error.path; }).should.eql([
+        'tags.1', 'weight', 'layout', 'author.mail', 'title'
+      ]);
+      res.errors[4].message.should.equal('is required');
+      res.data.author.should.eql({name: 'Jak'});
+    });
+    it('should validate missing front matter as an empty object', function () {
+      var res = matter('baz', {schema: schema});
+      res.data.should.eql({draft: false, tags: []});
+      res.errors.should.eql([{path: 'title', message: 'is required'}]);
+    });
+    it('should throw a MatterError with the errors if options.strict is true', function () {
+      var err;
+      try {
+        matter('---toml\ntitle = ""\n---\n', {schema: schema, strict: true});
+      } catch (e) {
+        err = e;
+      }
+      should(err).be.instanceof(matter.MatterError);
+      err.lang.should.equal('toml');
+      err.delimiter.should.equal('---');
+      err.errors.should.eql([{path: 'title', message: 'must have at least 1 characters'}]);
+    });
+    it('should not report errors if options.schema is not provided', function () {
+      matter('---\nfoo: bar\n---\n').should.not.have.ownProperty('errors');
+    });
+    it('options.schema should be an object', function () {
+      (function () {
+        matter('foobar', {schema: 'string'});
+      }).should.throw(Error);
+    });
+  });
+
+  describe('matter(_, {interpolate: true})', function () {
+    var opts = {interpolate: true, context: {env: {BUILD_DATE: '2015-03-01'}}};
+    var tmpfile = require('os').tmpdir() + '/meta-matter-interpolate-' + process.pid + '.txt';
+    afterEach(function () {
+      if (fs.existsSync(tmpfile)) {
+        fs.unlinkSync(tmpfile);
+      }
+    });
+    it('should replace references to other keys and the context', function () {
+      var res = matter('---\nslug: hello\npermalink: /blog/{{ slug }}/\ndate: ${env.BUILD_DATE}\n' +
+                       'author: {name: "{{ owner }}"}\nowner: Jak\nby: by {{author.name}}\n---\nbaz', opts);
+      res.data.should.eql({
+        slug: 'hello',
+        permalink: '/blog/hello/',
+        date: '2015-03-01',
+        author: {name: 'Jak'},
+        owner: 'Jak',
+        by: 'by Jak'
+      });
+      res.unresolved.should.eql([]);
+      res.body.should.equal('baz');
+    });
+    it('should keep the value of a whole reference as it is', function () {
+      var res = matter('---\nn: 3\ncount: "{{ n }}"\ntags: [a, b]\nall: "${tags}"\nfirst: "{{ tags.0 }}"\n' +
+                       'text: "{{ tags }}!"\n---\n', opts);
+      res.data.count.should.equal(3);
+      res.data.all.should.eql(['a', 'b']);
+      res.data.all.should.not.equal(res.data.tags);
+      res.data.first.should.equal('a');
+      res.data.text.should.equal('["a","b"]!');
+    });
+    it('should report unresolved and circular references', function () {
+      var res = matter('---\na: "{{ b }}"\nb: "{{ a }}"\nc: "{{ nope }}"\nd: "{{ constructor }}"\n' +
+                       'e: "{{ process.exit() }}"\n---\n', opts);
+      res.data.should.eql({
+        a: '{{ b }}',
+        b: '{{ a }}',
+        c: '{{ nope }}',
+        d: '{{ constructor }}',
+        e: '{{ process.exit() }}'
+      });
+      res.unresolved.should.eql([
+        {path: 'b', reference: 'a', message: 'is circular'},
+        {path: 'a', reference: 'b', message: 'is unresolved'},
+        {path: 'c', reference: 'nope', message: 'is not defined'},
+        {path: 'd', reference: 'constructor', message: 'is not defined'},
+        {path: 'e', reference: 'process.exit()', message: 'is not a key path'}
+      ]);
+    });
+    it('should throw a MatterError for unresolved references if options.strict is true', function () {
+      var err;
+      try {
+        matter('---\na: {b: "{{ a }}"}\n---\n', {interpolate: true, strict: true});
+      } catch (e) {
+        err = e;
+      }
+      should(err).be.instanceof(matter.MatterError);
+      err.errors.should.eql([{path: 'a.b', reference: 'a', message: 'is circular'}]);
+    });
+    it('should not replace anything by default', function () {
+      var res = matter('---\nslug: hello\nurl: /{{ slug }}/\n---\n');
+      res.data.url.should.equal('/{{ slug }}/');
+      res.should.not.have.ownProperty('unresolved');
+    });
+    it('should replace references to the file facts', function () {
+      fs.writeFileSync(tmpfile, '---\nurl: /{{ file.basename }}\nby: "{{ site }}"\nupdated: "{{ file.mtime }}"\n---\n');
+      var res = matter.readFileSync(tmpfile, {interpolate: true, context: {site: 'Example'}});
+      res.data.url.should.equal('/' + require('path').basename(tmpfile));
+      res.data.by.should.equal('Example');
+      res.data.updated.should.be.instanceof(Date);
+      res.data.updated.getTime().should.equal(fs.statSync(tmpfile).mtime.getTime());
+    });
+  });
+
+  describe('matter(_, {multiple: true})', function () {
+    var str = '+++\ntitle = "A"\n[build]\nid = 1\n+++\n\n---\ntitle: B\nbuild:\n  by: me\n---\nbaz';
+    it('should read consecutive blocks and merge them deeply', function () {
+      var res = matter(str, {multiple: true, delims: matter.profiles});
+      normalCheck(res);
+      res.body.should.equal('baz');
+      res.data.should.eql({title: 'B', build: {id: 1, by: 'me'}});
+      res.blocks.map(function (block) { return block.lang; }).should.eql(['toml', 'yaml']);
+      res.blocks[0].data.should.eql({title: 'A', build: {id: 1}});
+      res.blocks[1].matter.should.equal('title: B\nbuild:\n  by: me');
+      res.blocks[1].loc.open.should.eql({start: 36, end: 39, line: 7});
+      res.lang.should.equal('toml');
+      res.loc.body.should.eql({start: 69, end: 72, line: 12});
+    });
+    it('should merge the data with options.merge', function () {
+      var shallow = matter(str, {multiple: true, delims: matter.profiles, merge: 'shallow'});
+      shallow.data.should.eql({title: 'B', build: {by: 'me'}});
+      var first = matter(str, {
+        multiple: true,
+        delims: matter.profiles,
+        merge: function (target, source) {
+          Object.keys(source).forEach(function (key) {
+            if (!(key in target)) {
+              target[key] = source[key];
+            }
+          });
+          return target;
+        }
+      });
+      first.data.should.eql({title: 'A', build: {id: 1}});
+    });
+    it('should stop at the first text that is not a block', function () {
+      var res = matter('---\nfoo: bar\n---\n\nbaz\n---\nfoo: qux\n---\n', {multiple: true});
+      res.blocks.should.have.length(1);
+      res.body.should.equal('\nbaz\n---\nfoo: qux\n---\n');
+      matter(str, {delims: matter.profiles}).body.should.equal(str.substr(35));
+    });
+    it('should skip empty blocks when merging', function () {
+      var res = matter('---\n---\n---\nfoo: bar\n---\n', {multiple: true});
+      res.blocks.should.have.length(2);
+      should(res.blocks[0].data).be.null;
+      res.data.should.eql({foo: 'bar'});
+      res.body.should.equal('');
+    });
+    it('should give an empty list without front matter', function () {
+      var res = matter('baz', {multiple: true});
+      res.blocks.should.eql([]);
+      should(res.data).be.null;
+    });
+    it('should report the line of an error in a later block', function () {
+      var err;
+      try {
+        matter('---\nfoo: bar\n---\n---\nfoo: [\n---\n', {multiple: true, strict: true});
+      } catch (e) {
+        err = e;
+      }
+      should(err).be.instanceof(matter.MatterError);
+      err.line.should.be.above(4);
+    });
+    it('options.merge should be "deep", "shallow" or a function', function () {
+      (function () {
+        matter('foobar', {merge: 'first'});
+      }).should.throw(Error);
+    });
+  });
+
+  describe('matter(_, {excerpt: ?})', function () {
+    var str = '---\ntitle: A\n---\n\nThe first\nparagraph.\n\nMore.\n<!-- more -->\nThe rest.';
+    it('should take the text before the separator', function () {
+      var res = matter(str, {excerpt: '<!-- more -->'});
+      normalCheck(res);
+      res.excerpt.should.equal('The first\nparagraph.\n\nMore.');
+      res.body.should.equal(str.substr(17));
+      res.data.should.eql({title: 'A'});
+    });
+    it('should remove the separator from the body with options.stripSeparator', function () {
+      var opts = {excerpt: '<!-- more -->', stripSeparator: true};
+      matter(str, opts).body.should.equal('\nThe first\nparagraph.\n\nMore.\nThe rest.');
+      var res = matter('---\n---\nShort. <!-- more --> Long.', opts);
+      res.excerpt.should.equal('Short.');
+      res.body.should.equal('Short.  Long.');
+      matter('<!-- more -->  \nbaz', opts).body.should.equal('baz');
+    });
+    it('should take the first paragraph if options.excerpt is true', function () {
+      matter(str, {excerpt: true}).excerpt.should.equal('The first\nparagraph.');
+      matter('---\n---\n  \n\nOne line', {excerpt: true}).excerpt.should.equal('One line');
+      matter(str, {excerpt: true, stripSeparator: true}).body.should.equal(str.substr(17));
+    });
+    it('should take what the function returns', function () {
+      var res = matter(str, {excerpt: function (body) {
+        return body.split('.')[0];
+      }});
+      res.excerpt.should.equal('\nThe first\nparagraph');
+      should(matter(str, {excerpt: function () {}}).excerpt).be.null;
+      (function () {
+        matter(str, {excerpt: function () { return 1; }});
+      }).should.throw(Error);
+    });
+    it('should give null if no excerpt is found', function () {
+      should(matter(str, {excerpt: '<!--more-->'}).excerpt).be.null;
+      should(matter('---\nfoo: bar\n---\n\n', {excerpt: true}).excerpt).be.null;
+      matter(str).should.not.have.ownProperty('excerpt');
+      matter(str, {excerpt: false}).should.not.have.ownProperty('excerpt');
+    });
+    it('should take the excerpt from the body only', function () {
+      var res = matter('---\nfoo: "<!-- more -->"\n---\nbaz', {excerpt: '<!-- more -->'});
+      should(res.excerpt).be.null;
+      res = matter('---\nfoo: bar\n---\nbaz\n---\nqux', {excerpt: '---', stripSeparator: true});
+      res.excerpt.should.equal('baz');
+      res.body.should.equal('baz\nqux');
+      res.data.should.eql({foo: 'bar'});
+    });
+    it('should work with options.loose and options.strict', function () {
+      var loose = matter('----\n10\n----\nbaz\n\nqux', {
+        loose: true,
+        parsers: function (s) { return parseInt(s, 10) + 1; },
+        excerpt: true
+      });
+      loose.body.should.equal('-\nbaz\n\nqux');
+      loose.excerpt.should.equal('-\nbaz');
+      var strict = matter('---\nfoo: bar\n---\nbaz<!-- more -->qux', {
+        strict: true,
+        excerpt: '<!-- more -->'
+      });
+      strict.excerpt.should.equal('baz');
+      (function () {
+        matter('---\nfoo: [\n---\nbaz', {strict: true, excerpt: true});
+      }).should.throw(matter.MatterError);
+    });
+    it('should take the excerpt after the last block with options.multiple', function () {
+      var res = matter('---\nfoo: 1\n---\n---\nbar: 2\n---\nbaz\n\nqux', {multiple: true, excerpt: true});
+      res.excerpt.should.equal('baz');
+      res.blocks.should.have.length(2);
+    });
+    it('options.excerpt should be true, a separator or a function', function () {
+      (function () {
+        matter('foobar', {excerpt: ''});
+      }).should.throw(Error);
+      (function () {
+        matter('foobar', {excerpt: /more/});
+      }).should.throw(Error);
+    });
+  });
+
   describe('matter(_, {loose: true})', function () {
     it('should extract front matter between ambiguous delimiters', function () {
       var res = matter('----\n10\n----', {
@@ -258,6 +893,84 @@ describe('matter(string, options)', function () {
 });
 
 
+describe('matter(buffer, options)', function () {
+  var utf16 = function (str, bigEndian) {
+    var buffer = Buffer.from(str, 'utf16le');
+    for (var i = 0; bigEndian && i < buffer.length; i += 2) {
+      var byte = buffer[i];
+      buffer[i] = buffer[i + 1];
+      buffer[i + 1] = byte;
+    }
+    return buffer;
+  };
+  it('should decode UTF-8 by default', function () {
+    var res = matter(Buffer.from('---\nfoo: b\u00E4r\n---\nb\u00E4z'));
+    checkFooBarBaz(res, 'foo', 'b\u00E4r', 'b\u00E4z');
+    res.encoding.should.equal('utf8');
+    res.bom.should.be.false;
+    res = matter(Buffer.from('\uFEFF---\nfoo: bar\n---\nbaz'));
+    checkFooBarBaz(res, 'foo', 'bar', 'baz');
+    res.bom.should.be.true;
+    should(matter('---\nfoo: bar\n---\nbaz').encoding).be.null;
+  });
+  it('should detect UTF-16 from the byte-order mark', function () {
+    ['utf16le', 'utf16be'].forEach(function (encoding) {
+      var res = matter(utf16('\uFEFF---\nfoo: b\u00E4r\n---\nb\u00E4z', encoding === 'utf16be'));
+      checkFooBarBaz(res, 'foo', 'b\u00E4r', 'b\u00E4z');
+      res.encoding.should.equal(encoding);
+      res.bom.should.be.true;
+      res.src.should.equal('---\nfoo: b\u00E4r\n---\nb\u00E4z');
+    });
+  });
+  it('should use options.encoding', function () {
+    var buffer = Buffer.from('---\nfoo: b\u00E4r\n---\nb\u00E4z', 'latin1');
+    checkFooBarBaz(matter(buffer, {encoding: 'latin1'}), 'foo', 'b\u00E4r', 'b\u00E4z');
+    matter(buffer, {encoding: 'ISO-8859-1'}).encoding.should.equal('latin1');
+    matter(buffer).data.foo.should.not.equal('b\u00E4r');
+    var res = matter(utf16('---\nfoo: bar\n---\nbaz', true), {encoding: 'UTF-16BE'});
+    checkFooBarBaz(res, 'foo', 'bar', 'baz');
+    res.encoding.should.equal('utf16be');
+    (function () {
+      matter(buffer, {encoding: 'ebcdic'});
+    }).should.throw(Error);
+  });
+  it('should accept an Uint8Array and keep the input unchanged', function () {
+    var bytes = new Uint8Array(utf16('\uFEFF---\nfoo: bar\n---\nbaz', true));
+    checkFooBarBaz(matter(bytes), 'foo', 'bar', 'baz');
+    bytes[0].should.equal(0xFE);
+  });
+  it('the file readers should decode the bytes like matter()', function () {
+    var path = require('os').tmpdir() + '/meta-matter-decode-' + process.pid + '.txt';
+    var bytes = Buffer.from([
+      0x2D, 0x2D, 0x2D, 0x0A, 0x61, 0x3A, 0x20, 0xC3, 0xA4, 0xE4, 0xB8, 0xF0, 0x9F, 0x98,
+      0x80, 0xED, 0xA0, 0x80, 0xC0, 0xAF, 0xFF, 0x0A, 0x2D, 0x2D, 0x2D, 0x0A, 0xE9, 0xF0
+    ]);
+    var inputs = [
+      [bytes, null], [bytes, 'latin1'], [bytes, 'ascii'], [bytes, 'utf16le'],
+      [utf16('\uFEFF---\na: \uD83D\uDE00\n---\nb', true), null], [bytes.slice(1), 'utf16be']
+    ];
+    try {
+      inputs.forEach(function (input) {
+        fs.writeFileSync(path, input[0]);
+        var expected = matter(input[0], {encoding: input[1]});
+        var res = matter.readFileSync(path, {encoding: input[1]});
+        res.src.should.equal(expected.src);
+        res.encoding.should.equal(expected.encoding);
+        res.bom.should.equal(expected.bom);
+      });
+    } finally {
+      fs.unlinkSync(path);
+    }
+  });
+  it('should test buffers for front matter', function () {
+    matter.test(utf16('\uFEFF---\nfoo: bar\n---\n', true)).should.be.true;
+    matter.test(Buffer.from('\uFEFF---\nfoo: bar\n---\n')).should.be.true;
+    matter.test(Buffer.from('foo')).should.be.false;
+    matter.test(Buffer.from('---\n---\n'), {encoding: 'ebcdic'}).should.be.false;
+  });
+});
+
+
 describe('matter.test(string, options)', function () {
   it('should return true if options.loose is false and front matter is found #1', function () {
     matter.test('---\n---').should.be.true;
@@ -283,7 +996,517 @@ describe('matter.test(string, options)', function () {
 });
 
 
+describe('matter.stringify(body, data, options)', function () {
+  it('matter.serializers should expose builtin serializers', function () {
+    matter.should.have.ownProperty('serializers');
+    should(matter.serializers.yaml).be.Function;
+    should(matter.serializers.toml).be.Function;
+    should(matter.serializers.json).be.Function;
+  });
+  it('should return the body if data is null', function () {
+    matter.stringify('baz', null).should.equal('baz');
+  });
+  it('should serialize YAML front matter without a language tag', function () {
+    var str = matter.stringify('baz', {foo: 'bar'});
+    str.should.equal('---\nfoo: bar\n---\nbaz');
+    checkFooBarBaz(matter(str), 'foo', 'bar', 'baz');
+  });
+  it('should serialize TOML front matter with a language tag', function () {
+    var str = matter.stringify('baz', {foo: 'bar'}, {lang: 'toml'});
+    str.should.equal('---toml\nfoo = "bar"\n---\nbaz');
+    checkFooBarBaz(matter(str), 'foo', 'bar', 'baz');
+  });
+  it('should use custom delimiters', function () {
+    var opts = {delims: ['~~~', '^^^']};
+    var str = matter.stringify('baz', {foo: 'bar'}, opts);
+    str.should.equal('~~~\nfoo: bar\n^^^\nbaz');
+    checkFooBarBaz(matter(str, opts), 'foo', 'bar', 'baz');
+  });
+  it('should use the delimiter profile for options.lang', function () {
+    var opts = {delims: matter.profiles, lang: 'toml'};
+    var str = matter.stringify('baz', {foo: 'bar'}, opts);
+    str.should.equal('+++\nfoo = "bar"\n+++\nbaz');
+    checkFooBarBaz(matter(str, opts), 'foo', 'bar', 'baz');
+    matter.stringify('baz', {foo: 'bar'}, {delims: matter.profiles.slice(1), lang: 'yaml'})
+        .should.equal('+++yaml\nfoo: bar\n+++\nbaz');
+  });
+  it('should use the custom serializer', function () {
+    var str = matter.stringify('baz', 10, {
+      lang: 'number',
+      serializers: {
+        number: function (data, opts) {
+          should(opts).be.Object;
+          should(opts.loose).be.false;
+          return String(data + 1);
+        }
+      }
+    });
+    str.should.equal('---number\n11\n---\nbaz');
+  });
+  it('should serialize JSON front matter without delimiters if options.braces is true', function () {
+    var opts = {lang: 'json', braces: true};
+    var str = matter.stringify('baz', {foo: 'bar'}, opts);
+    str.should.equal('{\n  "foo": "bar"\n}\nbaz');
+    checkFooBarBaz(matter(str, opts), 'foo', 'bar', 'baz');
+    matter.stringify('baz', {foo: 'bar'}, {lang: 'json'})
+        .should.equal('---json\n{\n  "foo": "bar"\n}\n---\nbaz');
+  });
+  it('should throw an error if the serializer is not found', function () {
+    (function () {
+      matter.stringify('baz', {foo: 'bar'}, {lang: 'nothing'});
+    }).should.throw(Error);
+  });
+  it('should round-trip nested TOML data', function () {
+    var data = {
+      title: 'Hello "world"',
+      date: new Date('2015-03-01T12:00:00Z'),
+      ratio: 0.5,
+      tags: ['a', 'b'],
+      author: {name: 'Jak', 'e mail': 'x@y.z'},
+      links: [{url: '/a'}, {url: '/b'}]
+    };
+    var str = matter.stringify('\nbody\n', data, {lang: 'toml'});
+    var res = matter(str);
+    res.body.should.equal('\nbody\n');
+    res.data.should.eql(data);
+  });
+  it('should refuse values that TOML cannot represent unless options.loose is true', function () {
+    (function () {
+      matter.stringify('', {n: NaN}, {lang: 'toml'});
+    }).should.throw(Error);
+    matter.stringify('', {n: NaN, m: 1}, {lang: 'toml', loose: true})
+        .should.equal('---toml\nm = 1\n---\n');
+  });
+  it('should write front matter in a comment after the shebang line', function () {
+    matter.stringify('#!/bin/sh\nbaz', {foo: 'bar'}, {delims: matter.comments})
+        .should.equal('#!/bin/sh\n/* ---\n * foo: bar\n * --- */\nbaz');
+    matter.stringify('baz', {foo: 'bar'}, {delims: matter.comments.slice(1)})
+        .should.equal('<!-- ---\nfoo: bar\n--- -->\nbaz');
+    var str = matter.stringify('baz', {foo: 'bar', list: [1]}, {delims: matter.comments.slice(2), lang: 'toml'});
+    str.should.equal('# ---toml\n# foo = "bar"\n# list = [1]\n# ---\nbaz');
+    matter(str, {delims: matter.comments}).data.should.eql({foo: 'bar', list: [1]});
+  });
+  it('should put the comment after the shebang line of the body', function () {
+    var opts = {delims: [matter.comments[2]]};
+    var str = matter.stringify('#!/bin/sh\necho hi\n', {a: 1}, opts);
+    str.should.equal('#!/bin/sh\n# ---\n# a: 1\n# ---\necho hi\n');
+    var res = matter(str, opts);
+    res.data.should.eql({a: 1});
+    res.body.should.equal('echo hi\n');
+    var head = res.src.slice(0, res.loc.open.start);
+    head.should.equal('#!/bin/sh\n');
+    matter.stringify(head + res.body, res.data, opts).should.equal(str);
+  });
+});
+
+
+describe('matter.update(string, mutator, options)', function () {
+  var yaml = [
+    '--- yaml',
+    '# The title',
+    'title: "Hello"',
+    "tags: ['a', 'b']",
+    'author:',
+    '  name: Jak  # inline comment',
+    '',
+    'draft: true',
+    '---',
+    'body',
+    ''
+  ].join('\n');
+  var toml = [
+    '+++',
+    'title = "Hello"  # keep',
+    'tags = [',
+    '  "a",',
+    ']',
+    '',
+    '[author]',
+    'name = "Jak"',
+    '',
+    '[[links]]',
+    'url = "/a"',
+    '+++',
+    'body'
+  ].join('\n');
+
+  it('should rewrite only the lines of the changed keys in YAML', function () {
+    matter.update(yaml, function (data) {
+      data.title = 'World';
+    }).should.equal(yaml.replace('title: "Hello"', 'title: World'));
+  });
+  it('should remove and append keys in YAML', function () {
+    var str = matter.update(yaml, function (data) {
+      delete data.tags;
+      data.date = 'today';
+    });
+    str.should.equal(yaml.replace("tags: ['a', 'b']\n", '').replace('draft: true', 'draft: true\ndate: today'));
+  });
+  it('should rewrite the lines of nested values in YAML', function () {
+    var str = matter.update(yaml, function (data) {
+      data.author.name = 'Wings';
+    });
+    str.should.equal(yaml.replace('  name: Jak  # inline comment', '  name: Wings'));
+  });
+  it('should rewrite only the lines of the changed keys in TOML', function () {
+    var opts = {delims: matter.profiles};
+    var str = matter.update(toml, function (data) {
+      data.tags.push('b');
+      data.author.name = 'Wings';
+      data.weight = 1;
+      data.extra = {foo: 'bar'};
+    }, opts);
+    str.should.equal(toml
+        .replace('tags = [\n  "a",\n]', 'tags = ["a", "b"]\nweight = 1')
+        .replace('name = "Jak"', 'name = "Wings"')
+        .replace('url = "/a"', 'url = "/a"\n\n[extra]\nfoo = "bar"'));
+    matter(str, opts).data.should.eql({
+      title: 'Hello',
+      tags: ['a', 'b'],
+      weight: 1,
+      author: {name: 'Wings'},
+      links: [{url: '/a'}],
+      extra: {foo: 'bar'}
+    });
+  });
+  it('should rewrite the whole block for other languages', function () {
+    matter.update('{"foo": "bar"}\nbaz', function (data) {
+      data.foo = 'qux';
+    }, {braces: true}).should.equal('{\n  "foo": "qux"\n}\nbaz');
+  });
+  it('should rewrite the whole block if the edited block cannot be parsed', function () {
+    matter.update('---\na: &x 1\nb: *x\n---\nbody', function (data) {
+      data.a = 2;
+    }).should.equal('---\na: 2\nb: 1\n---\nbody');
+    matter.update('---\na: &x 1\nb: *x\nc: 3\n---\nbody', function (data) {
+      data.c = 4;
+    }).should.equal('---\na: &x 1\nb: *x\nc: 4\n---\nbody');
+  });
+  it('should ignore options.interpolate', function () {
+    var str = '---\n# comment\nslug: a\nurl: /b/{{ slug }}/\n---\nbody';
+    matter.update(str, function (data) {
+      data.url.should.equal('/b/{{ slug }}/');
+      data.slug = 'c';
+    }, {interpolate: true}).should.equal('---\n# comment\nslug: c\nurl: /b/{{ slug }}/\n---\nbody');
+  });
+  it('should ignore options.schema', function () {
+    var schema = {properties: {draft: {'default': false}, n: {type: 'integer'}}};
+    matter.update('---json\n{"title": "a", "n": "3"}\n---\nbody', function (data) {
+      data.should.eql({title: 'a', n: '3'});
+      data.title = 'b';
+    }, {schema: schema, strict: true}).should.equal('---json\n{\n  "title": "b",\n  "n": "3"\n}\n---\nbody');
+  });
+  it('should accept the data returned from the mutator', function () {
+    matter.update('---\nfoo: bar\n---\nbaz', function () {
+      return {qux: 1};
+    }).should.equal('---\nqux: 1\n---\nbaz');
+    matter.update('---\nfoo: bar\n---\nbaz', function () {
+      return null;
+    }).should.equal('baz');
+  });
+  it('should add front matter to a string without it', function () {
+    matter.update('baz', function (data) {
+      data.foo = 'bar';
+    }, {lang: 'toml'}).should.equal('---toml\nfoo = "bar"\n---\nbaz');
+    matter.update('---\n---\nbaz', function (data) {
+      data.foo = 'bar';
+    }).should.equal('---\nfoo: bar\n---\nbaz');
+  });
+  it('should return the string as it is if nothing changes', function () {
+    matter.update(yaml, function () {}).should.equal(yaml);
+    matter.update('baz', function () {}).should.equal('baz');
+  });
+  it('should ignore options.excerpt', function () {
+    matter.update('---\nfoo: bar\n---\nbaz<!-- more -->qux', function (data) {
+      data.foo = 'baz';
+    }, {excerpt: '<!-- more -->', stripSeparator: true}).should.equal('---\nfoo: baz\n---\nbaz<!-- more -->qux');
+  });
+  it('should keep the comment syntax and the shebang line', function () {
+    var str = '#!/bin/sh\n# ---\n# foo: bar\n# ---\necho baz\n';
+    var opts = {delims: matter.comments};
+    matter.update(str, function (data) {
+      data.qux = 1;
+    }, opts).should.equal('#!/bin/sh\n# ---\n# foo: bar\n# qux: 1\n# ---\necho baz\n');
+    matter.update(str, function () {
+      return null;
+    }, opts).should.equal('#!/bin/sh\necho baz\n');
+  });
+  it('should throw a MatterError for invalid front matter', function () {
+    (function () {
+      matter.update('---\nfoo: [\n---\n', function () {});
+    }).should.throw(matter.MatterError);
+  });
+});
+
+
+describe('matter.updateFileSync(path, mutator, options)', function () {
+  var tmpfile = require('os').tmpdir() + '/meta-matter-update-' + process.pid + '.txt';
+  afterEach(function () {
+    if (fs.existsSync(tmpfile)) {
+      fs.unlinkSync(tmpfile);
+    }
+  });
+  it('should change the file in place', function () {
+    fs.writeFileSync(tmpfile, fs.readFileSync(fixtures + 'foo-matter-2.txt'));
+    var res = matter.updateFileSync(tmpfile, function (data) {
+      data.foo = 'qux';
+    });
+    res.data.should.eql({foo: 'qux'});
+    res.path.should.equal(fs.realpathSync(tmpfile));
+    fs.readFileSync(tmpfile, 'utf8').should.equal(
+        fs.readFileSync(fixtures + 'foo-matter-2.txt', 'utf8').replace('"bar"', '"qux"'));
+  });
+  it('should write the file in the same encoding', function () {
+    fs.writeFileSync(tmpfile, fs.readFileSync(fixtures + 'encoding-utf16be.txt'));
+    var res = matter.updateFileSync(tmpfile, function (data) {
+      data.foo = 'q\u00FCx';
+    });
+    res.data.should.eql({foo: 'q\u00FCx'});
+    res.encoding.should.equal('utf16be');
+    var updated = matter.readFileSync(tmpfile);
+    updated.encoding.should.equal('utf16be');
+    updated.bom.should.be.true;
+    checkFooBarBaz(updated, 'foo', 'q\u00FCx', 'b\u00E4z\n');
+  });
+});
+
+
+describe('matter.use(name, plugin)', function () {
+  afterEach(function () {
+    delete matter.parsers.ini;
+    delete matter.aliases.conf;
+    delete matter.languageOptions.ini;
+  });
+  var ini = function (str, opts) {
+    var data = {};
+    str.split('\n').forEach(function (line) {
+      var pair = line.split(opts.separator || '=');
+      data[pair[0].trim()] = pair[1].trim();
+    });
+    return data;
+  };
+  it('should register a parser with aliases and options', function () {
+    matter.use('INI', {parse: ini, aliases: ['conf'], options: {separator: ':'}}).should.equal(matter);
+    var res = matter('---conf\nfoo: bar\n---\nbaz');
+    checkFooBarBaz(res, 'foo', 'bar', 'baz');
+    res.lang.should.equal('ini');
+  });
+  it('should resolve the builtin aliases', function () {
+    var res = matter('---yml\nfoo: bar\n---\nbaz');
+    checkFooBarBaz(res, 'foo', 'bar', 'baz');
+    res.lang.should.equal('yaml');
+    checkFooBarBaz(matter('---\nfoo = "bar"\n---\nbaz', {lang: 'TML'}), 'foo', 'bar', 'baz');
+    matter.stringify('baz', {foo: 'bar'}, {lang: 'yml'}).should.equal('---\nfoo: bar\n---\nbaz');
+  });
+  it('should pass the options of the language to the parser and the serializer', function () {
+    var instance = matter.create();
+    var parsed, serialized;
+    instance.use('yaml', {options: {foo: 'bar'}});
+    instance.use('json', {
+      parse: function (str, opts) { parsed = opts; return JSON.parse(str); },
+      stringify: function (data, opts) { serialized = opts; return JSON.stringify(data); },
+      options: {indent: 4}
+    });
+    instance('---json\n{}\n---\n', {loose: true});
+    parsed.should.eql({indent: 4, loose: true});
+    instance.stringify('', {}, {lang: 'json'});
+    serialized.should.eql({indent: 4, loose: false});
+    matter.languageOptions.should.eql({});
+  });
+  it('should throw an error for an invalid plugin', function () {
+    (function () {
+      matter.use('', {parse: ini});
+    }).should.throw(Error);
+    (function () {
+      matter.use('ini', {parse: 'ini'});
+    }).should.throw(Error);
+    (function () {
+      matter.use('ini', {aliases: [1]});
+    }).should.throw(Error);
+  });
+});
+
+
+describe('matter.create(options)', function () {
+  it('should keep the languages of the instances apart', function () {
+    var one = matter.create();
+    var two = matter.create();
+    one.use('yaml', {parse: function () { return 1; }});
+    should(one('---\nfoo: bar\n---\n').data).equal(1);
+    two('---\nfoo: bar\n---\n').data.should.eql({foo: 'bar'});
+    matter('---\nfoo: bar\n---\n').data.should.eql({foo: 'bar'});
+    matter.parsers.number = function () { return 2; };
+    try {
+      should(matter.create().parsers.number).be.undefined;
+    } finally {
+      delete matter.parsers.number;
+    }
+  });
+  it('should apply the default options to all methods', function () {
+    var instance = matter.create({delims: '~~~', lang: 'toml'});
+    checkFooBarBaz(instance('~~~\nfoo = "bar"\n~~~\nbaz'), 'foo', 'bar', 'baz');
+    checkFooBarBaz(instance('---\nfoo: bar\n---\nbaz', {delims: '---', lang: 'yaml'}), 'foo', 'bar', 'baz');
+    instance.test('~~~\n~~~').should.be.true;
+    instance.stringify('baz', {foo: 'bar'}).should.equal('~~~toml\nfoo = "bar"\n~~~\nbaz');
+    instance.update('~~~\nfoo = "bar"\n~~~\nbaz', function (data) {
+      data.foo = 'qux';
+    }).should.equal('~~~\nfoo = "qux"\n~~~\nbaz');
+  });
+  it('should apply the default options to the file readers', function (done) {
+    var instance = matter.create({parsers: {yaml: function () { return 'custom'; }}});
+    instance.readFileSync(fixtures + 'foo-matter-1.txt').data.should.equal('custom');
+    instance.readFile(fixtures + 'foo-matter-1.txt', function (err, res) {
+      should(err).be.null;
+      res.data.should.equal('custom');
+      done();
+    });
+  });
+  it('should create instances from instances', function () {
+    var parent = matter.create({delims: '~~~', lang: 'toml'});
+    parent.use('toml', {parse: function () { return 1; }});
+    var child = parent.create({lang: 'yaml'});
+    child('~~~\nfoo: bar\n~~~\nbaz').data.should.eql({foo: 'bar'});
+    should(child('~~~toml\nfoo = "bar"\n~~~\n').data).eql({foo: 'bar'});
+    should(parent('~~~\nfoo = "bar"\n~~~\n').data).equal(1);
+    child.create().stringify('baz', {foo: 'bar'}).should.equal('~~~\nfoo: bar\n~~~\nbaz');
+    (function () {
+      parent.create('toml');
+    }).should.throw(Error);
+  });
+  it('should expose the same helpers', function () {
+    var instance = matter.create();
+    instance.profiles.should.equal(matter.profiles);
+    instance.MatterError.should.equal(matter.MatterError);
+    instance.Cache.should.equal(matter.Cache);
+    instance.aliases.should.eql(matter.aliases);
+    instance.aliases.should.not.equal(matter.aliases);
+  });
+  it('should throw an error for invalid defaults', function () {
+    (function () {
+      matter.create('yaml');
+    }).should.throw(Error);
+  });
+});
+
+
+describe('matter.collection(items, options)', function () {
+  var post = function (path, data) {
+    return {path: path, data: data, body: '', src: ''};
+  };
+  var paths = function (items) {
+    return items.map(function (item) { return item.path; });
+  };
+  var posts;
+  beforeEach(function () {
+    posts = matter.collection([
+      post('a.md', {title: 'A', date: new Date('2015-01-02'), tags: ['js', 'node'], author: {name: 'Ann'}}),
+      post('b.md', {title: 'B', date: new Date('2015-03-04'), tags: ['css'], draft: true}),
+      {path: 'bad.md', error: new Error('bad')},
+      post('c.md', {title: 'C', date: new Date('2015-02-03'), tags: ['js'], author: {name: 'Bob'}}),
+      post('d.md', {title: 'D', tags: 'node', order: 1})
+    ], {indexes: ['tags', 'author.name']});
+  });
+  it('should collect the items except errors', function () {
+    posts.should.be.an.instanceof(matter.Collection);
+    posts.size.should.equal(4);
+    posts.has('bad.md').should.be.false;
+    posts.get('c.md').data.title.should.equal('C');
+    should(posts.get('e.md')).be.null;
+    paths(posts.find()).should.eql(['a.md', 'b.md', 'c.md', 'd.md']);
+  });
+  it('should find the items by the values of key paths', function () {
+    paths(posts.find({where: {tags: 'js'}})).should.eql(['a.md', 'c.md']);
+    paths(posts.find({where: {tags: 'node'}})).should.eql(['a.md', 'd.md']);
+    paths(posts.find({where: {'author.name': 'Bob'}})).should.eql(['c.md']);
+    paths(posts.find({where: {tags: 'js', title: 'A'}})).should.eql(['a.md']);
+    paths(posts.find({where: {date: new Date('2015-03-04')}})).should.eql(['b.md']);
+    paths(posts.find({where: {order: '1'}})).should.eql([]);
+    paths(posts.find({where: {draft: function (draft) { return !draft; }}})).should.eql(['a.md', 'c.md', 'd.md']);
+    paths(posts.find({filter: function (item) { return item.data.title > 'B'; }})).should.eql(['c.md', 'd.md']);
+    paths(posts.find({where: {tags: 'none'}})).should.eql([]);
+  });
+  it('should sort the items and keep the order of equal ones', function () {
+    paths(posts.find({sort: 'date'})).should.eql(['a.md', 'c.md', 'b.md', 'd.md']);
+    paths(posts.find({sort: '-date'})).should.eql(['b.md', 'c.md', 'a.md', 'd.md']);
+    paths(posts.find({sort: ['draft', '-title']})).should.eql(['b.md', 'd.md', 'c.md', 'a.md']);
+    paths(posts.find({sort: 'author.name'})).should.eql(['a.md', 'c.md', 'b.md', 'd.md']);
+    paths(posts.find({sort: function (a, b) { return b.data.title < a.data.title ? -1 : 1; }}))
+      .should.eql(['d.md', 'c.md', 'b.md', 'a.md']);
+    paths(posts.find({sort: '-date', offset: 1, limit: 2})).should.eql(['c.md', 'a.md']);
+  });
+  it('should group the items by the values of a key path', function () {
+    var groups = posts.group('tags', {sort: 'title'});
+    groups.map(function (group) { return group.key; }).should.eql(['js', 'node', 'css']);
+    groups.map(function (group) { return paths(group.items); })
+      .should.eql([['a.md', 'c.md'], ['a.md', 'd.md'], ['b.md']]);
+    posts.group('author.name', {where: {tags: 'js'}}).map(function (group) {
+      return group.key;
+    }).should.eql(['Ann', 'Bob']);
+  });
+  it('should paginate the items', function () {
+    var pages = posts.paginate(3, {sort: 'title'});
+    pages.length.should.equal(2);
+    pages[0].number.should.equal(1);
+    pages[0].pages.should.equal(2);
+    paths(pages[0].items).should.eql(['a.md', 'b.md', 'c.md']);
+    paths(pages[1].items).should.eql(['d.md']);
+    var empty = posts.paginate(3, {where: {tags: 'none'}});
+    empty.should.eql([{number: 1, pages: 1, items: []}]);
+    (function () {
+      posts.paginate(0);
+    }).should.throw(Error);
+  });
+  it('should update the indexes when an item is read again', function () {
+    posts.set(post('a.md', {title: 'A2', tags: ['css'], author: {name: 'Bob'}}));
+    posts.size.should.equal(4);
+    posts.get('a.md').data.title.should.equal('A2');
+    paths(posts.find()).should.eql(['a.md', 'b.md', 'c.md', 'd.md']);
+    paths(posts.find({where: {tags: 'js'}})).should.eql(['c.md']);
+    paths(posts.find({where: {tags: 'css'}})).should.eql(['a.md', 'b.md']);
+    paths(posts.find({where: {'author.name': 'Bob'}})).should.eql(['a.md', 'c.md']);
+    posts.set({path: 'c.md', error: new Error('bad')});
+    posts.has('c.md').should.be.false;
+    paths(posts.find({where: {tags: 'js'}})).should.eql([]);
+    posts.remove('d.md').remove('e.md');
+    paths(posts.find({where: {tags: 'node'}})).should.eql([]);
+    posts.set(post('d.md', {tags: 'node'}));
+    paths(posts.find()).should.eql(['a.md', 'b.md', 'd.md']);
+  });
+  it('should collect the results of matter()', function () {
+    var res = matter.readFileSync(fixtures + 'foo-matter-1.txt');
+    var collection = matter.collection([res], {id: function (item) { return item.data.foo; }});
+    collection.get(res.data.foo).should.equal(res);
+    matter.create().collection().size.should.equal(0);
+  });
+  it('should throw an error for invalid arguments', function () {
+    (function () {
+      matter.collection([], {indexes: [1]});
+    }).should.throw(Error);
+    (function () {
+      matter.collection([], {id: 'path'});
+    }).should.throw(Error);
+    (function () {
+      matter.collection(['a.md']);
+    }).should.throw(Error);
+    (function () {
+      matter.collection([{data: {}}]);
+    }).should.throw(Error);
+    (function () {
+      posts.find({sort: '-'});
+    }).should.throw(Error);
+  });
+});
+
+
 describe('matter.readFileSync(path, options)', function () {
+  it('should decode the file by its byte-order mark or options.encoding', function () {
+    [['utf16le', null], ['utf16be', null], ['latin1', 'latin1']].forEach(function (v) {
+      var res = matter.readFileSync(fixtures + 'encoding-' + v[0] + '.txt', {encoding: v[1]});
+      checkFooBarBaz(res, 'foo', 'b\u00E4r', 'b\u00E4z\n');
+      res.encoding.should.equal(v[0]);
+    });
+    matter.readFileSync(fixtures + 'foo-matter-1.txt').encoding.should.equal('utf8');
+  });
   for (var i = 1; i <= 8; i++) {
     (function (i) {
       it('should have no front matter #' + i, function () {
@@ -328,10 +1551,183 @@ describe('matter.readFileSync(path, options)', function () {
       });
     })(i);
   }
+  for (var i = 1; i <= 2; i++) {
+    (function (i) {
+      it('should throw a MatterError for invalid front matter if options.strict is true #' + i, function () {
+        var path = fixtures + 'bad-matter-' + i + '.txt';
+        var err;
+        try {
+          matter.readFileSync(path, {strict: true});
+        } catch (e) {
+          err = e;
+        }
+        should(err).be.instanceof(matter.MatterError);
+        err.path.should.equal(fs.realpathSync(path));
+        err.line.should.equal(i + 2);
+      });
+    })(i);
+  }
+});
+
+
+describe('matter.readFileSync(path, {root: ?})', function () {
+  var root = fixtures + 'include';
+  it('should include files relative to the file', function () {
+    var res = matter.readFileSync(root + '/post.md', {root: root});
+    res.data.should.eql({
+      title: 'Hello',
+      author: {name: 'Jak', links: ['a', 'b']},
+      note: 'hello\n'
+    });
+    res.body.should.equal('body\n');
+  });
+  it('should not include files without options.root', function () {
+    should(matter.readFileSync(root + '/post.md').data).be.null;
+    (function () {
+      matter('---\nfoo: !include post.md\n---\n', {root: root, strict: true});
+    }).should.throw(matter.MatterError);
+  });
+  it('should refuse circular inclusion', function () {
+    var err;
+    try {
+      matter.readFileSync(root + '/cycle.md', {root: root, strict: true});
+    } catch (e) {
+      err = e;
+    }
+    should(err).be.instanceof(matter.MatterError);
+    err.reason.should.match(/^Circular inclusion: .*cycle-a\.yml -> .*cycle-b\.yml -> .*cycle-a\.yml$/);
+  });
+  it('should refuse files outside of the root directory', function () {
+    (function () {
+      matter.readFileSync(root + '/escape.md', {root: root, strict: true});
+    }).should.throw(/outside of the root directory/);
+    matter.readFileSync(root + '/escape.md', {root: fixtures})
+        .data.should.eql({foo: fs.readFileSync(fixtures + 'foo-matter-1.txt', 'utf8')});
+  });
+  it('should make the failed inclusions parse errors', function () {
+    var path = fs.realpathSync(root) + '/missing.md';
+    should(matter.readFileSync(root + '/escape.md', {root: root}).data).be.null;
+    should(matter.readFileSync(path, {root: root}).data).be.null;
+    var err;
+    try {
+      matter.readFileSync(path, {root: root, strict: true});
+    } catch (e) {
+      err = e;
+    }
+    should(err).be.instanceof(matter.MatterError);
+    err.reason.should.startWith('Cannot include "missing.yml" in ' + path + ': ');
+    err.cause.should.be.instanceof(SyntaxError);
+    err.cause.path.should.equal(path);
+    err.cause.cause.code.should.equal('ENOENT');
+  });
+  it('should work with matter.readFile', function (done) {
+    matter.readFile(root + '/post.md', {root: root}, function (err, res) {
+      should(err).be.null;
+      res.data.author.name.should.equal('Jak');
+      done();
+    });
+  });
+});
+
+
+describe('matter.readFileSync(path, {defaults: ?})', function () {
+  var root = fs.realpathSync(fixtures + 'cascade');
+  var opts = {root: root, defaults: ['_defaults.yaml', '_defaults.toml']};
+  it('should deep-merge the defaults files up to the root directory', function () {
+    var res = matter.readFileSync(root + '/blog/2015/post.md', opts);
+    res.data.should.eql({
+      layout: 'post',
+      author: {name: 'Blog', mail: 'jak@example.com'},
+      tags: ['post'],
+      title: 'Hello'
+    });
+    res.body.should.equal('baz\n');
+  });
+  it('should record where each key comes from', function () {
+    var res = matter.readFileSync(root + '/blog/2015/post.md', opts);
+    res.sources.should.eql({
+      layout: root + '/blog/_defaults.toml',
+      'author.name': root + '/blog/_defaults.toml',
+      'author.mail': res.path,
+      tags: res.path,
+      title: res.path
+    });
+  });
+  it('should only read the directory of the file without options.root', function () {
+    var res = matter.readFileSync(root + '/page.md', {defaults: '_defaults.yaml'});
+    res.data.layout.should.equal('page');
+    res.sources.foo.should.equal(res.path);
+    res = matter.readFileSync(root + '/blog/2015/post.md', {defaults: '_defaults.yaml'});
+    should(res.data.layout).be.undefined;
+  });
+  it('should apply options.schema to the merged data', function (done) {
+    matter.readFile(root + '/blog/2015/post.md', {
+      root: root,
+      defaults: '_defaults.yaml',
+      schema: {required: ['layout']}
+    }, function (err, res) {
+      should(err).be.null;
+      res.errors.should.eql([]);
+      res.sources.layout.should.equal(root + '/_defaults.yaml');
+      done();
+    });
+  });
+  it('options.defaults should be file names', function () {
+    (function () {
+      matter('foobar', {defaults: ['']});
+    }).should.throw(Error);
+  });
+});
+
+
+describe('matter.parsers.yaml(string, {schema, types})', function () {
+  var env = {tag: '!env', kind: 'scalar', construct: function (name) { return 'env:' + name; }};
+  it('should add custom types to the schema', function () {
+    matter('---\nhome: !env HOME\n---\n', {languageOptions: {yaml: {types: [env]}}})
+        .data.should.eql({home: 'env:HOME'});
+    should(matter('---\nhome: !env HOME\n---\n').data).be.null;
+    var yaml = matter.modules.yaml;
+    var type = new yaml.Type('!env', {kind: 'scalar', construct: env.construct});
+    matter.parsers.yaml('home: !env HOME', {types: [type]}).should.eql({home: 'env:HOME'});
+  });
+  it('should use the schema', function () {
+    var yaml = matter.modules.yaml;
+    matter('---\nfoo: 1\n---\n', {languageOptions: {yaml: {schema: yaml.FAILSAFE_SCHEMA}}})
+        .data.should.eql({foo: '1'});
+    var instance = matter.create();
+    instance.use('yaml', {options: {schema: yaml.FAILSAFE_SCHEMA}});
+    instance('---\nfoo: 1\n---\n').data.should.eql({foo: '1'});
+  });
+  it('should pass the types to the serializer', function () {
+    var Point = function (x) { this.x = x; };
+    var point = {
+      tag: '!point',
+      kind: 'scalar',
+      construct: function (data) { return new Point(Number(data)); },
+      instanceOf: Point,
+      represent: function (value) { return String(value.x); }
+    };
+    var opts = {languageOptions: {yaml: {types: [point]}}};
+    var str = matter.stringify('', {p: new Point(1)}, opts);
+    str.should.equal('---\np: !<!point> "1"\n---\n');
+    matter(str, opts).data.p.should.be.instanceof(Point);
+  });
 });
 
 
 describe('matter.readFile(path, options, callback)', function () {
+  it('should pass the error only once if the file is not readable', function (done) {
+    var calls = 0;
+    matter.readFile(fixtures + 'nothing.txt', function (err, res) {
+      calls++;
+      err.code.should.equal('ENOENT');
+      should(res).be.null;
+      setTimeout(function () {
+        calls.should.equal(1);
+        done();
+      }, 10);
+    });
+  });
   for (var i = 1; i <= 8; i++) {
     (function (i) {
       it('should have no front matter #' + i, function (done) {
@@ -376,4 +1772,815 @@ describe('matter.readFile(path, options, callback)', function () {
       });
     })(i);
   }
+  for (var i = 1; i <= 2; i++) {
+    (function (i) {
+      it('should pass a MatterError for invalid front matter if options.strict is true #' + i, function (done) {
+        var path = fixtures + 'bad-matter-' + i + '.txt';
+        matter.readFile(path, {strict: true}, function (err, res) {
+          should(err).be.instanceof(matter.MatterError);
+          err.path.should.equal(fs.realpathSync(path));
+          err.line.should.equal(i + 2);
+          should(res).be.null;
+          done();
+        });
+      });
+    })(i);
+  }
+});
+
+
+describe('matter.read(path, options)', function () {
+  it('should validate the data from the parsers returning promises', function () {
+    return matter.read(fixtures + 'foo-matter-1.txt', {
+      schema: {required: ['title'], properties: {foo: {type: 'number'}}},
+      parsers: function (s, opts) {
+        return Promise.resolve(matter.parsers.yaml(s, opts));
+      }
+    }).then(function (res) {
+      res.errors.length.should.equal(2);
+    });
+  });
+  it('should reject if the file is not readable', function () {
+    return matter.read(fixtures + 'nothing.txt').then(function () {
+      throw new Error('should not resolve');
+    }, function (err) {
+      err.code.should.equal('ENOENT');
+    });
+  });
+  it('matter.readFileSync should throw an error for the parsers returning promises', function () {
+    (function () {
+      matter.readFileSync(fixtures + 'foo-matter-1.txt', {
+        parsers: function () { return Promise.resolve(null); }
+      });
+    }).should.throw(Error);
+  });
+  for (var i = 1; i <= 2; i++) {
+    (function (i) {
+      it('should resolve front matter #' + i, function () {
+        var path = fixtures + 'foo-matter-' + i + '.txt';
+        return matter.read(path).then(function (res) {
+          checkFooBarBaz(res, 'foo', 'bar', 'baz\n');
+          res.path.should.equal(fs.realpathSync(path));
+        });
+      });
+    })(i);
+  }
+  it('should return a promise from matter.readFile if no callback is provided', function () {
+    var path = fixtures + 'foo-matter-1.txt';
+    var promise = matter.readFile(path, null);
+    should(promise.then).be.Function;
+    return promise.then(function (res) {
+      checkFooBarBaz(res, 'foo', 'bar', 'baz\n');
+    });
+  });
+  it('should wait for the parsers returning promises', function () {
+    var path = fixtures + 'foo-matter-1.txt';
+    return matter.read(path, {
+      parsers: function (s, opts) {
+        return Promise.resolve(matter.parsers.yaml(s, opts));
+      }
+    }).then(function (res) {
+      checkFooBarBaz(res, 'foo', 'bar', 'baz\n');
+    });
+  });
+  it('should reject with a MatterError if the parser rejects and options.strict is true', function () {
+    var path = fixtures + 'foo-matter-1.txt';
+    return matter.read(path, {
+      strict: true,
+      parsers: function () { return Promise.reject(new Error('oops')); }
+    }).then(function () {
+      throw new Error('should not resolve');
+    }, function (err) {
+      should(err).be.instanceof(matter.MatterError);
+      err.reason.should.equal('oops');
+      err.path.should.equal(fs.realpathSync(path));
+    });
+  });
+  it('should resolve the data of every block with options.multiple', function () {
+    var path = require('os').tmpdir() + '/meta-matter-read-' + process.pid + '.txt';
+    fs.writeFileSync(path, '---\nfoo\n---\n---\nbar\n---\nbaz');
+    return matter.read(path, {
+      multiple: true,
+      parsers: function (text) { return Promise.resolve({t: text}); }
+    }).then(function (res) {
+      fs.unlinkSync(path);
+      res.data.should.eql({t: 'bar'});
+      res.blocks.map(function (block) {
+        return block.data;
+      }).should.eql([{t: 'foo'}, {t: 'bar'}]);
+    }, function (err) {
+      fs.unlinkSync(path);
+      throw err;
+    });
+  });
+  it('should reject with the errors of custom parsers other than syntax errors', function () {
+    return matter.read(fixtures + 'foo-matter-1.txt', {
+      parsers: function () { return Promise.reject(new TypeError('bug')); }
+    }).then(function () {
+      throw new Error('should not resolve');
+    }, function (err) {
+      err.should.be.instanceof(TypeError);
+      err.message.should.equal('bug');
+    });
+  });
+  it('should resolve null data if the parser rejects with a syntax error and options.strict is false', function () {
+    var path = fixtures + 'foo-matter-1.txt';
+    return matter.read(path, {
+      parsers: function () { return Promise.reject(new SyntaxError('oops')); }
+    }).then(function (res) {
+      normalCheck(res, true);
+      should(res.data).be.null;
+    });
+  });
+});
+
+
+describe('matter.readDir(path, options, callback)', function () {
+  it('should read all files in the directory recursively', function (done) {
+    matter.readDir(__dirname, function (err, res) {
+      should(!err).be.true;
+      var paths = res.map(function (obj) { return obj.path; });
+      paths.should.containEql(fs.realpathSync(__filename));
+      paths.should.containEql(fs.realpathSync(fixtures + 'foo-matter-1.txt'));
+      done();
+    });
+  });
+  it('should filter files by options.include and options.exclude', function () {
+    return matter.readDir(__dirname, {
+      include: ['fixtures/*-matter-?.txt', /-crlf\.txt$/],
+      exclude: ['no-*', function (path) { return /^fixtures\/bad-/.test(path); }]
+    }).then(function (res) {
+      res.map(function (obj) {
+        return obj.path.substr(obj.path.lastIndexOf('/') + 1);
+      }).should.eql([
+        'foo-matter-1-crlf.txt', 'foo-matter-1.txt',
+        'foo-matter-2-crlf.txt', 'foo-matter-2.txt',
+        'loose-matter-1-crlf.txt', 'loose-matter-1.txt',
+        'loose-matter-2-crlf.txt', 'loose-matter-2.txt'
+      ]);
+    });
+  });
+  it('should report errors of files without aborting the scan', function () {
+    return matter.readDir(fixtures, {
+      include: '{bad,foo}-matter-*.txt',
+      strict: true,
+      concurrency: 1
+    }).then(function (res) {
+      res.length.should.equal(8);
+      res.forEach(function (obj) {
+        obj.path.should.be.String;
+        if (/bad-matter/.test(obj.path)) {
+          should(obj.error).be.instanceof(matter.MatterError);
+        } else {
+          obj.data.should.eql({foo: 'bar'});
+        }
+      });
+    });
+  });
+  it('should report the entries that cannot be read without aborting the scan', function () {
+    var dir = require('os').tmpdir() + '/meta-matter-readdir-' + process.pid;
+    fs.mkdirSync(dir);
+    fs.writeFileSync(dir + '/a.md', '---\nfoo: bar\n---\n');
+    fs.symlinkSync(dir + '/missing.md', dir + '/b.md');
+    fs.writeFileSync(dir + '/c.md', 'baz');
+    var clean = function () {
+      ['a.md', 'b.md', 'c.md'].forEach(function (name) {
+        fs.unlinkSync(dir + '/' + name);
+      });
+      fs.rmdirSync(dir);
+    };
+    return matter.readDir(dir).then(function (res) {
+      clean();
+      res.length.should.equal(3);
+      res[0].data.should.eql({foo: 'bar'});
+      res[1].path.should.equal(dir + '/b.md');
+      res[1].error.code.should.equal('ENOENT');
+      res[2].body.should.equal('baz');
+    }, function (err) {
+      clean();
+      throw err;
+    });
+  });
+  it('should give the errors the real paths like the results', function () {
+    var dir = require('path').relative(process.cwd(), fixtures);
+    return matter.readDir(dir, {include: '{bad,foo}-matter-1.txt', strict: true}).then(function (res) {
+      res.map(function (obj) {
+        return obj.path;
+      }).should.eql([fs.realpathSync(fixtures + 'bad-matter-1.txt'), fs.realpathSync(fixtures + 'foo-matter-1.txt')]);
+      res[0].error.path.should.equal(res[0].path);
+    });
+  });
+  it('should read the directories within options.concurrency', function () {
+    var stat = fs.stat, readdir = fs.readdir;
+    var running = 0, most = 0;
+    var wrap = function (fn) {
+      return function () {
+        var args = [].slice.call(arguments);
+        var callback = args.pop();
+        most = Math.max(most, ++running);
+        fn.apply(fs, args.concat(function () {
+          running--;
+          callback.apply(this, arguments);
+        }));
+      };
+    };
+    fs.stat = wrap(stat);
+    fs.readdir = wrap(readdir);
+    var restore = function () {
+      fs.stat = stat;
+      fs.readdir = readdir;
+    };
+    return matter.readDir(fixtures, {include: 'foo-*', concurrency: 2}).then(function (res) {
+      restore();
+      res.length.should.equal(4);
+      most.should.be.within(1, 2);
+    }, function (err) {
+      restore();
+      throw err;
+    });
+  });
+  it('should pass the error if the directory is not readable', function (done) {
+    matter.readDir(fixtures + 'nothing', function (err, res) {
+      err.code.should.equal('ENOENT');
+      should(res).be.null;
+      done();
+    });
+  });
+  it('options.concurrency should be a positive number', function () {
+    (function () {
+      matter.readDir(fixtures, {concurrency: 0}, function () {});
+    }).should.throw(Error);
+  });
+});
+
+
+describe('matter.cache(options)', function () {
+  var dir = require('os').tmpdir() + '/meta-matter-cache-' + process.pid;
+  var write = function (name, content) {
+    fs.writeFileSync(dir + '/' + name, content);
+  };
+  // Tell the changes apart from the writes in the same millisecond.
+  var touch = function (name, seconds) {
+    var time = new Date(Date.now() + seconds * 1000);
+    fs.utimesSync(dir + '/' + name, time, time);
+  };
+  beforeEach(function () {
+    fs.mkdirSync(dir);
+    dir = fs.realpathSync(dir);
+    write('a.md', '---\ntitle: A\ndate: 2015-04-01\n---\nbody');
+  });
+  afterEach(function () {
+    fs.readdirSync(dir).forEach(function (name) {
+      fs.unlinkSync(dir + '/' + name);
+    });
+    fs.rmdirSync(dir);
+  });
+  it('should reuse the results of unchanged files', function () {
+    var cache = matter.cache();
+    var res = matter.readFileSync(dir + '/a.md', {cache: cache});
+    res.data.title = 'changed';
+    res = matter.readFileSync(dir + '/a.md', {cache: cache});
+    res.data.should.eql({title: 'A', date: new Date('2015-04-01')});
+    res.body.should.equal('body');
+    res.path.should.equal(dir + '/a.md');
+    cache.stats().should.eql({hits: 1, misses: 1, invalidated: 0});
+    matter.readFileSync(dir + '/a.md', {cache: cache}).should.eql(res);
+  });
+  it('should parse the files again when changed', function () {
+    var cache = matter.cache();
+    matter.readFileSync(dir + '/a.md', {cache: cache});
+    write('a.md', '---\ntitle: B\n---\n');
+    touch('a.md', 10);
+    matter.readFileSync(dir + '/a.md', {cache: cache}).data.should.eql({title: 'B'});
+    cache.stats().should.eql({hits: 0, misses: 2, invalidated: 1});
+  });
+  it('should parse the files again when the options or the parsers change', function () {
+    var cache = matter.cache();
+    var instance = matter.create();
+    var parse = function () { return 1; };
+    parse.version = '1';
+    instance.use('yaml', {parse: parse});
+    instance.readFileSync(dir + '/a.md', {cache: cache}).data.should.equal(1);
+    instance.readFileSync(dir + '/a.md', {cache: cache, strict: true});
+    parse.version = '2';
+    instance.readFileSync(dir + '/a.md', {cache: cache, strict: true});
+    instance.readFileSync(dir + '/a.md', {cache: cache, strict: true});
+    matter.readFileSync(dir + '/a.md', {cache: cache}).data.title.should.equal('A');
+    cache.stats().should.eql({hits: 1, misses: 4, invalidated: 3});
+  });
+  it('should parse the files again when the defaults files change', function () {
+    var cache = matter.cache();
+    var opts = {cache: cache, root: dir, defaults: '_defaults.yaml'};
+    should(matter.readFileSync(dir + '/a.md', opts).data.layout).be.undefined;
+    write('_defaults.yaml', 'layout: post\n');
+    matter.readFileSync(dir + '/a.md', opts).data.layout.should.equal('post');
+    matter.readFileSync(dir + '/a.md', opts).data.layout.should.equal('post');
+    write('_defaults.yaml', 'layout: page\n');
+    touch('_defaults.yaml', 10);
+    matter.readFileSync(dir + '/a.md', opts).data.layout.should.equal('page');
+    cache.stats().should.eql({hits: 1, misses: 3, invalidated: 2});
+  });
+  it('should parse the files again when the included files change', function () {
+    var cache = matter.cache();
+    write('b.md', '---\nauthor: !include author.yaml\n---\n');
+    write('author.yaml', 'name: Jak\n');
+    matter.readFileSync(dir + '/b.md', {cache: cache, root: dir}).data.author.name.should.equal('Jak');
+    write('author.yaml', 'name: Wings\n');
+    touch('author.yaml', 10);
+    matter.readFileSync(dir + '/b.md', {cache: cache, root: dir}).data.author.name.should.equal('Wings');
+    cache.stats().should.eql({hits: 0, misses: 2, invalidated: 1});
+  });
+  it('should compare the content with options.key = "hash"', function () {
+    var stat = matter.cache();
+    var hash = matter.cache({key: 'hash'});
+    [stat, hash].forEach(function (cache) {
+      matter.readFileSync(dir + '/a.md', {cache: cache});
+    });
+    touch('a.md', 10);
+    [stat, hash].forEach(function (cache) {
+      matter.readFileSync(dir + '/a.md', {cache: cache});
+    });
+    stat.stats().should.eql({hits: 0, misses: 2, invalidated: 1});
+    hash.stats().should.eql({hits: 1, misses: 1, invalidated: 0});
+  });
+  it('should be shared by matter.readFile(), matter.read() and matter.readDir()', function () {
+    var cache = matter.cache();
+    return matter.read(dir + '/a.md', {cache: cache}).then(function (res) {
+      res.data.title.should.equal('A');
+      return matter.readDir(dir, {cache: cache});
+    }).then(function (res) {
+      res[0].data.title.should.equal('A');
+      return new Promise(function (resolve) {
+        matter.readFile(dir + '/a.md', {cache: cache}, function (err, res) {
+          should(err).be.null;
+          res.data.title.should.equal('A');
+          resolve();
+        });
+      });
+    }).then(function () {
+      cache.stats().should.eql({hits: 2, misses: 1, invalidated: 0});
+    });
+  });
+  it('should keep the results in a JSON file with Cache.JsonStore', function () {
+    var file = dir + '/cache.json';
+    var cache = matter.cache({store: new matter.Cache.JsonStore(file)});
+    matter.readFileSync(dir + '/a.md', {cache: cache});
+    fs.existsSync(file).should.be.false;
+    cache.save();
+    cache = matter.cache({store: new matter.Cache.JsonStore(file)});
+    var res = matter.readFileSync(dir + '/a.md', {cache: cache});
+    res.data.should.eql({title: 'A', date: new Date('2015-04-01')});
+    res.should.eql(matter.readFileSync(dir + '/a.md'));
+    cache.stats().should.eql({hits: 1, misses: 0, invalidated: 0});
+  });
+  it('should not keep the data that JSON cannot represent', function () {
+    var file = dir + '/cache.json';
+    var cache = matter.cache({store: new matter.Cache.JsonStore(file)});
+    var parsers = {yaml: function () { return {$: 'date', fn: function () {}}; }};
+    matter.readFileSync(dir + '/a.md', {cache: cache, parsers: parsers});
+    matter.readFileSync(dir + '/a.md', {cache: cache, parsers: parsers});
+    cache.stats().should.eql({hits: 0, misses: 2, invalidated: 0});
+    parsers.yaml = function () { return {$: 'date', value: NaN}; };
+    matter.readFileSync(dir + '/a.md', {cache: cache, parsers: parsers});
+    matter.readFileSync(dir + '/a.md', {cache: cache, parsers: parsers}).data.should.eql({$: 'date', value: NaN});
+    cache.stats().hits.should.equal(1);
+  });
+  it('should ignore a broken JSON file', function () {
+    write('cache.json', '{"version":');
+    var cache = matter.cache({store: new matter.Cache.JsonStore(dir + '/cache.json')});
+    matter.readFileSync(dir + '/a.md', {cache: cache}).data.title.should.equal('A');
+    cache.save();
+    JSON.parse(fs.readFileSync(dir + '/cache.json', 'utf8')).version.should.equal(1);
+  });
+  it('should throw an error for invalid options', function () {
+    (function () {
+      matter.cache({key: 'mtime'});
+    }).should.throw(Error);
+    (function () {
+      matter.cache({store: {}});
+    }).should.throw(Error);
+    (function () {
+      matter.readFileSync(dir + '/a.md', {cache: {}});
+    }).should.throw(Error);
+  });
+});
+
+
+describe('matter.watch(paths, options)', function () {
+  var dir = require('os').tmpdir() + '/meta-matter-watch-' + process.pid;
+  var watcher;
+  var write = function (name, content) {
+    fs.writeFileSync(dir + '/' + name, content);
+  };
+  beforeEach(function () {
+    fs.mkdirSync(dir);
+    fs.mkdirSync(dir + '/sub');
+    write('a.md', '---\ntitle: A\ntags: [js]\n---\nbody');
+    write('sub/b.md', 'no front matter');
+    write('c.txt', '---\ntitle: C\n---\n');
+    dir = fs.realpathSync(dir);
+  });
+  afterEach(function () {
+    watcher.close();
+    ['a.md', 'sub/b.md', 'sub/d.md', 'c.txt'].forEach(function (name) {
+      if (fs.existsSync(dir + '/' + name)) {
+        fs.unlinkSync(dir + '/' + name);
+      }
+    });
+    fs.rmdirSync(dir + '/sub');
+    fs.rmdirSync(dir);
+  });
+  it('should add the files and get ready', function (done) {
+    var added = [];
+    watcher = matter.watch(dir, {include: '*.md', debounce: 10});
+    watcher.on('add', function (event) {
+      should(event.before).be.null;
+      event.after.path.should.equal(event.path);
+      added.push(event.path);
+    });
+    watcher.on('ready', function (results) {
+      added.should.eql([dir + '/a.md', dir + '/sub/b.md']);
+      results.map(function (res) { return res.path; }).should.eql(added);
+      watcher.results()[0].data.should.eql({title: 'A', tags: ['js']});
+      done();
+    });
+  });
+  it('should emit the diff of the data when the front matter changes', function (done) {
+    watcher = matter.watch(dir + '/*.md', {debounce: 10});
+    watcher.on('body-changed', function () {
+      done(new Error('The body is not changed.'));
+    });
+    watcher.on('ready', function () {
+      watcher.on('data-changed', function (event) {
+        event.path.should.equal(dir + '/a.md');
+        event.before.data.should.eql({title: 'A', tags: ['js']});
+        event.after.data.should.eql({tags: ['js', 'node'], draft: true});
+        event.diff.should.eql([
+          {path: 'title', type: 'removed', before: 'A', after: undefined},
+          {path: 'tags.1', type: 'added', before: undefined, after: 'node'},
+          {path: 'draft', type: 'added', before: undefined, after: true}
+        ]);
+        watcher.results()[0].should.equal(event.after);
+        setTimeout(done, 50);
+      });
+      write('a.md', '---\ntags: [js, node]\ndraft: true\n---\nbody');
+    });
+  });
+  it('should not parse the same front matter again when the body changes', function (done) {
+    var count = 0;
+    var yaml = matter.parsers.yaml;
+    watcher = matter.watch(dir + '/a.md', {debounce: 10, parsers: {yaml: function (str, opts) {
+      count++;
+      return yaml(str, opts);
+    }}});
+    watcher.on('data-changed', function () {
+      done(new Error('The data is not changed.'));
+    });
+    watcher.on('ready', function (results) {
+      count.should.equal(1);
+      results.length.should.equal(1);
+      watcher.on('body-changed', function (event) {
+        count.should.equal(1);
+        event.before.body.should.equal('body');
+        event.after.body.should.equal('new\nbody');
+        event.after.data.should.equal(event.before.data);
+        event.after.loc.body.should.eql({start: 28, end: 36, line: 5});
+        matter.readFileSync(dir + '/a.md').loc.should.eql(event.after.loc);
+        setTimeout(done, 50);
+      });
+      write('a.md', '---\ntitle: A\ntags: [js]\n---\nnew\nbody');
+    });
+  });
+  it('should take the excerpt of the new body', function (done) {
+    watcher = matter.watch(dir + '/a.md', {debounce: 10, excerpt: true});
+    watcher.on('ready', function (results) {
+      results[0].excerpt.should.equal('body');
+      watcher.on('body-changed', function (event) {
+        event.after.excerpt.should.equal('new');
+        setTimeout(done, 50);
+      });
+      write('a.md', '---\ntitle: A\ntags: [js]\n---\nnew\n\nbody');
+    });
+  });
+  it('should emit the added and removed files', function (done) {
+    watcher = matter.watch(dir, {exclude: '*.txt', debounce: 10});
+    watcher.on('ready', function () {
+      watcher.once('add', function (event) {
+        event.path.should.equal(dir + '/sub/d.md');
+        event.after.data.should.eql({title: 'D'});
+        watcher.once('unlink', function (event) {
+          event.path.should.equal(dir + '/a.md');
+          event.before.data.title.should.equal('A');
+          should(event.after).be.null;
+          watcher.results().length.should.equal(2);
+          done();
+        });
+        fs.unlinkSync(dir + '/a.md');
+      });
+      write('c.txt', 'ignored');
+      write('sub/d.md', '---\ntitle: D\n---\n');
+    });
+  });
+  it('should emit the errors of the parsers in strict mode', function (done) {
+    watcher = matter.watch(dir + '/a.md', {strict: true, debounce: 10});
+    watcher.on('ready', function () {
+      watcher.once('error', function (err) {
+        err.should.be.instanceof(matter.MatterError);
+        err.path.should.equal(dir + '/a.md');
+        watcher.results()[0].data.title.should.equal('A');
+        done();
+      });
+      write('a.md', '---\ntitle: [A\n---\n');
+    });
+  });
+  it('should throw an error for invalid arguments', function () {
+    (function () {
+      matter.watch([]);
+    }).should.throw(Error);
+    (function () {
+      matter.watch(dir, {debounce: -1});
+    }).should.throw(Error);
+    watcher = matter.watch(dir);
+  });
+});
+
+
+describe('meta-matter <command> [options] [file...]', function () {
+  var spawnSync = require('child_process').spawnSync;
+  var bin = __dirname + '/../bin/meta-matter';
+  var run = function (args, input) {
+    return spawnSync(process.execPath, [bin].concat(args), {
+      input: input || '',
+      encoding: 'utf8'
+    });
+  };
+  var tmpfile = require('os').tmpdir() + '/meta-matter-test-' + process.pid + '.txt';
+  afterEach(function () {
+    if (fs.existsSync(tmpfile)) {
+      fs.unlinkSync(tmpfile);
+    }
+  });
+
+  it('extract should print the data as JSON', function () {
+    var res = run(['extract', fixtures + 'foo-matter-1.txt']);
+    res.status.should.equal(0);
+    JSON.parse(res.stdout).should.eql({foo: 'bar'});
+  });
+  it('body should print the body from stdin', function () {
+    var res = run(['body'], '~~~\nfoo: bar\n^^^\nbaz');
+    res.stdout.should.equal('~~~\nfoo: bar\n^^^\nbaz');
+    res = run(['body', '--delims', '~~~', '--delims=^^^'], '~~~\nfoo: bar\n^^^\nbaz');
+    res.stdout.should.equal('baz');
+  });
+  it('test should exit with 0 or 1', function () {
+    run(['test', fixtures + 'foo-matter-1.txt', fixtures + 'foo-matter-2.txt']).status.should.equal(0);
+    run(['test', fixtures + 'foo-matter-1.txt', fixtures + 'no-matter-1.txt']).status.should.equal(1);
+    run(['test'], '----\n---\n').status.should.equal(1);
+    run(['test', '--loose'], '----\n---\n').status.should.equal(0);
+  });
+  it('get should print the value at the key path', function () {
+    var res = run(['get', 'a.b', '--lang', 'toml'], '---\n[a]\nb = [1, 2]\n---\n');
+    JSON.parse(res.stdout).should.eql([1, 2]);
+    run(['get', 'foo', fixtures + 'foo-matter-2.txt']).stdout.should.equal('bar\n');
+  });
+  it('set should change the value at the key path in place', function () {
+    fs.writeFileSync(tmpfile, fs.readFileSync(fixtures + 'foo-matter-2.txt'));
+    var res = run(['set', 'author.name', 'Jak', tmpfile]);
+    res.status.should.equal(0);
+    res = matter.readFileSync(tmpfile);
+    res.data.should.eql({foo: 'bar', author: {name: 'Jak'}});
+    res.body.should.equal('baz\n');
+    res.lang.should.equal('toml');
+  });
+  it('set should write the result to stdout for stdin', function () {
+    var res = run(['set', 'count', '10'], 'baz');
+    res.stdout.should.equal('---\ncount: 10\n---\nbaz');
+  });
+  it('should validate the data against the schema in --schema', function () {
+    fs.writeFileSync(tmpfile, JSON.stringify({properties: {foo: {type: 'number'}}}));
+    var res = run(['extract', '--schema', tmpfile, fixtures + 'foo-matter-1.txt']);
+    res.status.should.equal(0);
+    res.stderr.should.match(/foo: must be of type number/);
+    run(['extract', '--strict', '--schema', tmpfile, fixtures + 'foo-matter-1.txt']).status.should.equal(2);
+  });
+  it('set should validate the new data against the schema in --schema', function () {
+    fs.writeFileSync(tmpfile, JSON.stringify({properties: {foo: {type: 'integer'}, n: {type: 'integer'}}}));
+    var res = run(['set', 'foo', 'bar', '--schema', tmpfile], '---\nfoo: 1\nn: "3"\n---\n');
+    res.status.should.equal(0);
+    res.stdout.should.equal('---\nfoo: bar\nn: "3"\n---\n');
+    res.stderr.should.match(/foo: must be of type integer/);
+    res.stderr.should.not.match(/\bn:/);
+  });
+  it('should exit with 2 for invalid arguments or front matter', function () {
+    run([]).status.should.equal(2);
+    run(['nothing']).status.should.equal(2);
+    run(['get']).status.should.equal(2);
+    run(['extract', '--nothing']).status.should.equal(2);
+    run(['extract', fixtures + 'nothing.txt']).status.should.equal(2);
+    run(['extract', '--strict', fixtures + 'bad-matter-1.txt']).status.should.equal(2);
+  });
+});
+
+
+describe('matter.readHead(path, options, callback)', function () {
+  var readAll = function (stream, callback) {
+    var chunks = [];
+    stream.on('data', function (chunk) { chunks.push(chunk); });
+    stream.on('end', function () { callback(Buffer.concat(chunks).toString('utf8')); });
+  };
+  [ ['no-matter-', 8, {}]
+  , ['foo-matter-', 2, {}]
+  , ['loose-matter-', 2, {loose: true, parsers: matter.parsers.yaml}]
+  ].forEach(function (v) {
+    for (var i = 1; i <= v[1]; i++) {
+      (function (path) {
+        it('should give the same result as matter.readFileSync for ' + path, function (done) {
+          var expected = matter.readFileSync(fixtures + path, v[2]);
+          var opts = {body: true};
+          for (var key in v[2]) {
+            opts[key] = v[2][key];
+          }
+          matter.readHead(fixtures + path, opts, function (err, res) {
+            should(!err).be.true;
+            should(res.data).eql(expected.data);
+            should(res.matter).equal(expected.matter);
+            should(res.lang).equal(expected.lang);
+            res.path.should.equal(expected.path);
+            res.src.should.equal(expected.src.substr(0, expected.src.length - expected.body.length));
+            readAll(res.body, function (body) {
+              body.should.equal(expected.body);
+              done();
+            });
+          });
+        });
+      })(v[0] + i + '.txt');
+    }
+  });
+  it('should not hand back the body by default', function () {
+    return matter.readHead(fixtures + 'foo-matter-1.txt').then(function (res) {
+      should(res.body).be.null;
+      res.data.should.eql({foo: 'bar'});
+    });
+  });
+  it('should pass a MatterError if options.strict is true', function (done) {
+    var path = fixtures + 'bad-matter-1.txt';
+    matter.readHead(path, {strict: true}, function (err, res) {
+      should(err).be.instanceof(matter.MatterError);
+      err.path.should.equal(fs.realpathSync(path));
+      err.line.should.equal(3);
+      should(res).be.null;
+      done();
+    });
+  });
+});
+
+
+describe('matter.stream(stream, options, callback)', function () {
+  var PassThrough = require('stream').PassThrough;
+  it('should stop reading when only the front matter is wanted', function (done) {
+    var input = new PassThrough();
+    matter.stream(input, {body: false}, function (err, res) {
+      should(!err).be.true;
+      res.data.should.eql({foo: 'bar'});
+      should(res.body).be.null;
+      done();
+    });
+    // One write, since the input may be destroyed as soon as the head is read.
+    input.write('---\nfoo: bar\n---\nand the stream never ends');
+  });
+  it('should decode UTF-16 and hand back the rest of the bytes', function () {
+    var path = fixtures + 'encoding-utf16be.txt';
+    return matter.stream(fs.createReadStream(path, {highWaterMark: 5})).then(function (res) {
+      res.data.should.eql({foo: 'b\u00E4r'});
+      res.encoding.should.equal('utf16be');
+      return new Promise(function (resolve) {
+        var chunks = [];
+        res.body.on('data', function (chunk) { chunks.push(chunk); });
+        res.body.on('end', function () {
+          Buffer.concat(chunks).should.eql(fs.readFileSync(path).slice(-8));
+          resolve();
+        });
+      });
+    });
+  });
+  it('should decode characters split across chunks', function () {
+    var input = new PassThrough();
+    var buffer = Buffer.from('\uFEFF---\nfoo: b\u00E4r\n---\nb\u00E4z');
+    for (var i = 0; i < buffer.length; i += 3) {
+      input.write(buffer.slice(i, i + 3));
+    }
+    input.end();
+    return matter.stream(input).then(function (res) {
+      res.data.should.eql({foo: 'b\u00E4r'});
+      return new Promise(function (resolve) {
+        var body = '';
+        res.body.setEncoding('utf8');
+        res.body.on('data', function (chunk) { body += chunk; });
+        res.body.on('end', function () {
+          body.should.equal('b\u00E4z');
+          resolve();
+        });
+      });
+    });
+  });
+  it('should wait for the rest of the closing line', function (done) {
+    var input = new PassThrough();
+    matter.stream(input, {body: false}, function (err, res) {
+      should(res.data).be.null;
+      res.src.should.equal('');
+      done();
+    });
+    input.write('---\nfoo: bar\n---');
+    setTimeout(function () {
+      input.write('-\nbaz');
+    }, 10);
+  });
+  it('should use the delimiter profiles and options.braces', function () {
+    var input = new PassThrough();
+    input.end('{"foo": "bar"}\n+++\nbaz');
+    return matter.stream(input, {braces: true, delims: matter.profiles}).then(function (res) {
+      res.data.should.eql({foo: 'bar'});
+      res.lang.should.equal('json');
+    });
+  });
+  it('should ignore options.excerpt', function () {
+    var input = new PassThrough();
+    input.end('---\nfoo: bar\n---\nbaz');
+    return matter.stream(input, {excerpt: true}).then(function (res) {
+      res.data.should.eql({foo: 'bar'});
+      res.should.not.have.ownProperty('excerpt');
+    });
+  });
+  it('should stop reading if the front matter does not end in 1 MiB', function () {
+    var input = new PassThrough();
+    var line = new Array(64).join('x') + '\n';
+    input.write('---\n');
+    for (var i = 0; i < 1024 * 1024 / line.length + 1; i++) {
+      input.write(line);
+    }
+    return matter.stream(input, {body: false}).then(function (res) {
+      should(res.data).be.null;
+      should(res.loc).be.null;
+      res.src.should.equal('');
+    });
+  });
+  it('should leave the shebang line before a comment out of the body', function () {
+    var input = new PassThrough();
+    input.end('#!/bin/sh\n# ---\n# foo: bar\n# ---\necho baz\n');
+    return matter.stream(input, {delims: matter.comments}).then(function (res) {
+      res.data.should.eql({foo: 'bar'});
+      var body = '';
+      res.body.on('data', function (chunk) {
+        body += chunk;
+      });
+      return new Promise(function (resolve) {
+        res.body.on('end', resolve);
+      }).then(function () {
+        body.should.equal('echo baz\n');
+      });
+    });
+  });
+  it('should wait for the stacked blocks with options.multiple', function (done) {
+    var input = new PassThrough();
+    matter.stream(input, {body: false, multiple: true}, function (err, res) {
+      res.data.should.eql({foo: 'bar', baz: 1});
+      res.blocks.should.have.length(2);
+      done();
+    });
+    input.write('---\nfoo: bar\n---\n\n');
+    setTimeout(function () {
+      input.write('---\nbaz: 1\n---\nqux');
+    }, 10);
+  });
+  it('should resolve the data of every block with async parsers', function () {
+    var input = new PassThrough();
+    input.end('---\nfoo\n---\n---\nbar\n---\nbaz');
+    return matter.stream(input, {
+      multiple: true,
+      parsers: function (text) { return Promise.resolve({t: text}); }
+    }).then(function (res) {
+      res.blocks[0].data.should.eql({t: 'foo'});
+      res.blocks[1].data.should.eql({t: 'bar'});
+    });
+  });
+  it('should wait for the end of a comment with front matter', function (done) {
+    var input = new PassThrough();
+    matter.stream(input, {body: false, delims: matter.comments}, function (err, res) {
+      res.data.should.eql({foo: 'bar'});
+      done();
+    });
+    input.write('#!/usr/bin/env node\n/* ---\n * foo: bar\n');
+    setTimeout(function () {
+      input.write(' * --- */\nbaz');
+    }, 10);
+  });
+  it('should pass the error of the stream', function (done) {
+    var input = new PassThrough();
+    matter.stream(input, function (err, res) {
+      err.message.should.equal('oops');
+      should(res).be.null;
+      done();
+    });
+    input.emit('error', new Error('oops'));
+  });
 });
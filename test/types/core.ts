@@ -0,0 +1,22 @@
+// The typings of meta-matter/core, checked with `tsc -p test/types`.
+
+import matter = require('meta-matter/core');
+import { expectExact } from './expect';
+
+interface Page {
+  layout: string;
+}
+
+const result = matter<Page>(new Uint8Array([0x2D, 0x2D, 0x2D]), {encoding: 'utf8'});
+expectExact<typeof result.data, Page | null>(true);
+expectExact<typeof result.encoding, string | null>(true);
+const instance = matter.create();
+expectExact<typeof instance, matter.Core>(true);
+expectExact<typeof instance.create, (defaults?: matter.Options | null) => matter.Core>(true);
+matter.modules.yaml = null;
+
+// There are no file APIs in the core.
+// @ts-expect-error
+matter.readFileSync('page.md');
+// @ts-expect-error
+matter.watch('pages');
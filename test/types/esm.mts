@@ -0,0 +1,10 @@
+// The typings of the ES module entries, checked with `tsc -p test/types`.
+
+import matter from 'meta-matter';
+import core from 'meta-matter/core';
+import { expectExact } from './expect.js';
+
+const result = matter<{ title: string }>('');
+expectExact<typeof result.data, { title: string } | null>(true);
+expectExact<typeof matter.readFileSync, matter.Matter['readFileSync']>(true);
+expectExact<typeof core, core.Core>(true);
@@ -0,0 +1,12 @@
+// Type-level assertions, checked by tsc without running anything.
+
+export type Equal<A, B> =
+  (<V>() => V extends A ? 1 : 2) extends (<V>() => V extends B ? 1 : 2) ? true : false;
+
+// Compile only if the type A is exactly the type B.
+export function expectExact<A, B>(ok: Equal<A, B>): void {
+}
+
+// Compile only if the value is assignable to the type T.
+export function expectType<T>(value: T): void {
+}
@@ -0,0 +1,239 @@
+// The typings of matter() for node, checked with `tsc -p test/types`.
+
+import matter = require('meta-matter');
+import { Readable } from 'stream';
+import { expectExact, expectType } from './expect';
+
+interface Post {
+  title: string;
+  tags?: string[];
+}
+
+// matter()
+
+const result = matter<Post>('---\ntitle: Hello\n---\nbody', {strict: true});
+expectExact<typeof result, matter.Result<Post>>(true);
+expectExact<typeof result.data, Post | null>(true);
+expectExact<typeof result.body, string>(true);
+expectExact<typeof result.matter, string | null>(true);
+expectExact<typeof result.lang, string | null>(true);
+expectExact<typeof result.eol, '\n' | '\r\n'>(true);
+expectExact<typeof result.bom, boolean>(true);
+expectExact<typeof result.errors, matter.SchemaError[] | undefined>(true);
+expectExact<typeof result.unresolved, matter.UnresolvedReference[] | undefined>(true);
+expectExact<typeof result.blocks, matter.Block[] | undefined>(true);
+expectExact<typeof result.excerpt, string | null | undefined>(true);
+if (result.data) {
+  expectExact<typeof result.data.title, string>(true);
+  // @ts-expect-error
+  result.data.author;
+}
+if (result.loc) {
+  expectExact<typeof result.loc.body.end, number | null>(true);
+  expectExact<typeof result.loc.open.line, number>(true);
+}
+if (result.profile) {
+  expectExact<typeof result.profile.delims, [string, string]>(true);
+}
+const untyped = matter('');
+expectExact<typeof untyped.data, any>(true);
+const decoded = matter(Buffer.from(''));
+expectExact<typeof decoded.encoding, string | null>(true);
+matter(new Uint8Array(0), {encoding: 'utf16le'});
+matter('', null);
+// @ts-expect-error
+matter(42);
+// @ts-expect-error
+matter('', {strict: 'yes'});
+// @ts-expect-error
+matter('', {unknown: true});
+
+// Every option of matter() and the file readers.
+
+const options: Required<matter.FileOptions> = {
+  loose: true,
+  lang: 'toml',
+  delims: [{delims: ['+++', '+++'], lang: 'toml'}, {comment: {prefix: '#'}}],
+  parsers: {toml: function (text: string) { return {}; }},
+  serializers: function (data: any) { return ''; },
+  strict: true,
+  braces: true,
+  schema: {type: 'object', properties: {title: {type: 'string'}}, required: ['title']},
+  eol: '\r\n',
+  bom: true,
+  multiple: true,
+  merge: function (target: any, source: any) { return source; },
+  registry: matter,
+  languageOptions: {yaml: {types: []}},
+  root: '.',
+  defaults: ['_defaults.md'],
+  interpolate: true,
+  context: {site: {name: 'test'}},
+  encoding: 'latin1',
+  cache: matter.cache(),
+  excerpt: '<!-- more -->',
+  stripSeparator: true
+};
+matter('', options);
+matter('', {delims: '~~~'});
+matter('', {delims: ['---', null]});
+matter('', {parsers: function (text: string) { return {}; }});
+matter('', {merge: 'shallow'});
+matter('', {defaults: '_defaults.md'});
+matter('', {excerpt: true});
+matter('', {excerpt: function (body) { return body.split('\n\n')[0]; }});
+// @ts-expect-error
+matter('', {delims: 42});
+// @ts-expect-error
+matter('', {eol: '\r'});
+// @ts-expect-error
+matter('', {merge: 'replace'});
+// @ts-expect-error
+matter('', {excerpt: /more/});
+// @ts-expect-error
+matter('', {schema: {type: 'float'}});
+// @ts-expect-error
+matter('', {schema: {additionalProperties: {type: 'string'}}});
+// @ts-expect-error
+matter('', {parsers: {yaml: 'js-yaml'}});
+
+// matter.test(), matter.stringify() and matter.update()
+
+expectExact<ReturnType<typeof matter.test>, boolean>(true);
+matter.test('', {delims: ['<!--', '-->'], braces: true});
+matter.test(Buffer.from(''));
+expectExact<ReturnType<typeof matter.stringify>, string>(true);
+matter.stringify('body', {title: 'Hello'}, {lang: 'toml', eol: '\r\n'});
+const updated = matter.update<Post>('', function (data) {
+  expectExact<typeof data, Post>(true);
+  data.title = 'Hi';
+});
+expectExact<typeof updated, string>(true);
+matter.update('', function () { return null; });
+// @ts-expect-error
+matter.update('', {});
+
+// matter.parsers, matter.serializers and matter.modules
+
+expectExact<typeof matter.parsers.yaml, matter.Parser>(true);
+expectExact<typeof matter.parsers['ini'], matter.Parser>(true);
+expectExact<ReturnType<typeof matter.serializers.json>, string>(true);
+matter.parsers.yaml('title: Hello', {loose: true});
+matter.parsers['ini'] = function (text, opts) {
+  expectExact<typeof text, string>(true);
+  expectExact<typeof opts, matter.LanguageOptions>(true);
+  return {};
+};
+matter.modules.yaml = require('js-yaml');
+matter.modules.toml = null;
+// @ts-expect-error
+matter.parsers.yaml = 'yaml';
+
+// matter.use(), matter.create() and the errors
+
+const md = matter.create({strict: true}).use('ini', {
+  parse: function () { return {}; },
+  aliases: ['cfg'],
+  options: {sections: true}
+});
+expectExact<typeof md, matter.Matter>(true);
+const page = md<Post>('');
+expectExact<typeof page.data, Post | null>(true);
+// @ts-expect-error
+matter.use('ini', {parse: 'ini'});
+
+try {
+  matter('', {strict: true});
+} catch (err) {
+  if (err instanceof matter.MatterError) {
+    expectExact<typeof err.line, number | null>(true);
+    expectExact<typeof err.reason, string>(true);
+    expectExact<typeof err.path, string | undefined>(true);
+  }
+}
+expectType<Error>(new matter.MatterError('message', {reason: 'message'}));
+// @ts-expect-error
+matter.MatterError('message');
+
+// The file APIs
+
+const file = matter.readFileSync<Post>('post.md', {root: '.', defaults: '_defaults.md'});
+expectExact<typeof file, matter.FileResult<Post>>(true);
+expectExact<typeof file.path, string>(true);
+expectExact<typeof file.sources, { [keyPath: string]: string } | undefined>(true);
+expectType<matter.Result<Post>>(file);
+
+matter.readFile<Post>('post.md', function (err, result) {
+  expectExact<typeof result, matter.FileResult<Post>>(true);
+});
+matter.readFile('post.md', {strict: true}, function (err, result) {
+  expectExact<typeof result.data, any>(true);
+});
+const promise = matter.read('post.md');
+expectExact<typeof promise, Promise<matter.FileResult<any>>>(true);
+
+async function main() {
+  const read = await matter.readFile<Post>('post.md');
+  expectExact<typeof read.data, Post | null>(true);
+  const items = await matter.readDir<Post>('posts', {include: ['*.md', /\.txt$/], concurrency: 2});
+  items.forEach(function (item) {
+    if ('error' in item) {
+      expectExact<typeof item, matter.FileError>(true);
+    } else {
+      expectExact<typeof item.data, Post | null>(true);
+    }
+  });
+  const head = await matter.readHead<Post>('post.md', {body: true});
+  expectExact<typeof head.body, Readable | null>(true);
+  expectExact<typeof head.path, string>(true);
+  const streamed = await matter.stream(process.stdin);
+  expectExact<typeof streamed.body, Readable | null>(true);
+  // @ts-expect-error
+  await matter.readDir('posts', {concurrency: 'all'});
+}
+
+const watcher = matter.watch<Post>(['posts/**/*.md'], {debounce: 100, exclude: 'drafts'});
+watcher.on('data-changed', function (event) {
+  expectExact<typeof event.after.data, Post | null>(true);
+  expectExact<matter.DataChange['type'], 'added' | 'removed' | 'changed'>(true);
+  expectExact<typeof event.diff, matter.DataChange[]>(true);
+});
+watcher.on('add', function (event) {
+  expectExact<typeof event.after, matter.FileResult<Post>>(true);
+});
+watcher.on('ready', function (results) {
+  expectExact<typeof results, Array<matter.FileResult<Post>>>(true);
+});
+watcher.close();
+
+matter.updateFileSync<Post>('post.md', function (data) {
+  data.tags = ['news'];
+}, {strict: true});
+
+// matter.cache()
+
+const cache = matter.cache({key: 'hash', store: new matter.Cache.JsonStore('.cache.json')});
+matter.readFileSync('post.md', {cache: cache});
+matter.readDir('posts', {cache: cache, concurrency: 2});
+expectExact<ReturnType<typeof cache.stats>, matter.CacheStats>(true);
+cache.save().clear();
+new matter.Cache({store: {get: function () {}, set: function () {}, delete: function () {}, clear: function () {}}});
+// @ts-expect-error
+matter.cache({key: 'mtime'});
+// @ts-expect-error
+matter.readFileSync('post.md', {cache: {}});
+
+// matter.collection()
+
+const posts = matter.collection([file], {indexes: ['tags'], id: function (item) { return item.path; }});
+expectExact<ReturnType<typeof posts.find>, Array<matter.FileResult<Post>>>(true);
+posts.find({where: {tags: 'news'}, sort: '-date', limit: 10});
+posts.group('tags').forEach(function (group) {
+  expectExact<typeof group.items, Array<matter.FileResult<Post>>>(true);
+});
+const pages = posts.paginate(10);
+expectExact<typeof pages, Array<matter.Page<matter.FileResult<Post>>>>(true);
+expectExact<typeof posts.size, number>(true);
+new matter.Collection([file]).set(file).remove('post.md');
+// @ts-expect-error
+posts.paginate('10');